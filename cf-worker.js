@@ -3,28 +3,143 @@ export default {
 	async fetch(request, env, ctx) {
 		return handleRequest(request, env, ctx);
 	},
+	// Consumer for the BULK_QUEUE binding
+	async queue(batch, env, ctx) {
+		return handleQueueBatch(batch, env, ctx);
+	},
 };
 
 // Configuration - Frozen for better performance
 const CONFIG = Object.freeze({
 	RATE_LIMITS: {
+		// 'fixed_window', 'sliding_window' or 'token_bucket'
+		ALGORITHM: 'fixed_window',
+		// 'silent' answers 200 with a generic body, 'http_429' a real 429 (env RATE_LIMIT_RESPONSE_MODE wins)
+		RESPONSE_MODE: 'silent',
+		// Hard limit, unless a challenge provider is configured: then every request past it needs a
+		// solved challenge, up to HARD_PER_MINUTE
 		PER_MINUTE: 10,
 		WINDOW_MINUTE: 60,
+		// Token bucket only: bucket size for the minute tier, refilled at PER_MINUTE per WINDOW_MINUTE
+		BURST_MINUTE: 5,
+		// Ceiling for clients that keep solving challenges; never below PER_MINUTE, unused without a provider
+		HARD_PER_MINUTE: 30,
+		PER_HOUR: 100,
+		WINDOW_HOUR: 3600,
+		PER_DAY: 300,
+		WINDOW_DAY: 86400,
+		// Same number or email, whichever IP it comes from
+		PER_TARGET: 20,
+		WINDOW_TARGET: 3600,
+	},
+	IP_LISTS: {
+		// Violations from one IP within AUTO_BLOCK_WINDOW seconds before it is blocked for AUTO_BLOCK_TTL; 0 disables
+		AUTO_BLOCK_THRESHOLD: 50,
+		AUTO_BLOCK_WINDOW: 3600,
+		AUTO_BLOCK_TTL: 86400,
+	},
+	CIRCUIT_BREAKER: {
+		FAILURE_THRESHOLD: 3,
+		OPEN_SECONDS: 60,
+		// How long the half_open trial keeps other requests away; a hung trial frees it again after this
+		TRIAL_SECONDS: 15,
+		STATE_TTL: 86400,
+	},
+	CLIENT_TOKEN: {
+		TTL_SECONDS: 300,
+		HEADER: 'X-Client-Token',
+	},
+	CHALLENGE: {
+		ENABLED: true,
+		// 'pow' (hashcash) or 'turnstile' (env CHALLENGE_PROVIDER wins)
+		PROVIDER: 'pow',
+		// Leading zero bits of SHA-256(challenge:nonce); 14 bits is ~16k hashes, well under a second in a browser
+		DIFFICULTY: 14,
+		TTL_SECONDS: 120,
+		HEADER: 'X-Challenge-Response',
+	},
+	BATCH: {
+		// Each number counts against the rate limits, so batches past rateLimitCapacity are rejected too
+		MAX_NUMBERS: 20,
+		CONCURRENCY: 4,
+	},
+	JOBS: {
+		MAX_ROWS: 5000,
+		CHUNK_SIZE: 50,
+		CONCURRENCY: 4,
+		MAX_ATTEMPTS: 3,
+		// A chunk that started longer ago than this is assumed lost and handed out again
+		CHUNK_LEASE_SECONDS: 120,
+		// KV fallback only; R2 objects are kept until a lifecycle rule removes them
+		RETENTION_SECONDS: 86400 * 7,
+	},
+	WEBHOOKS: {
+		MAX_ATTEMPTS: 4,
+		// Doubles after every failed attempt: 0.5s, 1s, 2s
+		BACKOFF_MS: 500,
+		TIMEOUT_MS: 5000,
+		SIGNATURE_HEADER: 'X-Webhook-Signature',
+		DEAD_LETTER_TTL: 86400 * 7,
+	},
+	PHONE: {
+		// Region for numbers typed without a country code (env DEFAULT_REGION wins)
+		DEFAULT_REGION: 'ID',
+		// Bounds for `+` numbers whose calling code is not in PHONE_REGIONS
+		E164_MIN_DIGITS: 8,
+		E164_MAX_DIGITS: 15,
+		// Answer Indonesian landline and toll-free numbers as `not_mobile` without a provider call
+		REJECT_NON_MOBILE: true,
+	},
+	EMAIL: {
+		// DNS-over-HTTPS MX lookup before the paid QuickEmailVerification call (env DOH_RESOLVER_URL wins)
+		MX_CHECK: true,
+		DOH_URL: 'https://cloudflare-dns.com/dns-query',
+		DNS_TIMEOUT_MS: 2000,
+	},
+	CACHE: {
+		// v2: email results carry role/free/accept_all
+		KEY_VERSION: 'v2',
+		POSITIVE_TTL: 86400,
+		NEGATIVE_TTL: 3600,
+	},
+	LOGGING: {
+		// 'debug', 'info', 'warn', 'error' or 'silent' (env LOG_LEVEL wins)
+		LEVEL: 'info',
+		REQUEST_ID_HEADER: 'X-Request-Id',
 	},
-	WHITELISTED_IPS: [],
 	MONITORING: {
 		ENABLED: true,
 		LOG_VIOLATIONS: true,
+		// Hourly request counts, provider latency and cache hit/miss counters for /stats
 		TRACK_PATTERNS: true,
+		MAX_STATS_DAYS: 7,
+		TOP_OFFENDERS: 10,
+		LATENCY_BUCKETS_MS: [50, 100, 200, 300, 500, 750, 1000, 1500, 2000, 3000, 5000, 8000],
 	},
 });
 
+// Rate-limit tiers, checked in order. `limit`/`window`/`burst` name keys in CONFIG.RATE_LIMITS; a tier
+// whose limit is unset is skipped. While its `ceiling` is set, going past a tier asks for a solved
+// challenge instead of rejecting, and the ceiling's own tier is what finally rejects.
+const RATE_LIMIT_TIERS = Object.freeze([
+	{ name: 'minute', scope: 'ip', limit: 'PER_MINUTE', window: 'WINDOW_MINUTE', burst: 'BURST_MINUTE', ceiling: 'HARD_PER_MINUTE' },
+	{ name: 'minute_hard', scope: 'ip', limit: 'HARD_PER_MINUTE', window: 'WINDOW_MINUTE' },
+	{ name: 'hour', scope: 'ip', limit: 'PER_HOUR', window: 'WINDOW_HOUR' },
+	{ name: 'day', scope: 'ip', limit: 'PER_DAY', window: 'WINDOW_DAY' },
+	{ name: 'target', scope: 'target', limit: 'PER_TARGET', window: 'WINDOW_TARGET' },
+]);
+
+// Every `tier` logViolation records: the rate-limit tiers plus rejections outside them
+const VIOLATION_TIERS = Object.freeze([...RATE_LIMIT_TIERS.map((tier) => tier.name), 'origin']);
+
 // Reusable headers objects
 const CORS_HEADERS = Object.freeze({
 	'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-	'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With, Accept',
+	'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With, Accept, X-Client-Token, X-Challenge-Response',
 	'Access-Control-Max-Age': '86400',
-	'Access-Control-Allow-Credentials': 'true',
+	Vary: 'Origin',
+	'Access-Control-Expose-Headers':
+		'X-Request-Id, X-Cache, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, Retry-After',
 });
 
 const JSON_HEADERS = Object.freeze({
@@ -33,322 +148,2736 @@ const JSON_HEADERS = Object.freeze({
 
 // Optimized response builder class
 class ResponseBuilder {
-	static json(data, status = 200, origin = '*') {
+	static json(data, status = 200, origin = '*', extraHeaders = {}) {
 		return new Response(JSON.stringify(data), {
 			status,
 			headers: {
 				...JSON_HEADERS,
 				...CORS_HEADERS,
 				'Access-Control-Allow-Origin': origin,
+				...extraHeaders,
+			},
+		});
+	}
+
+	// For rejected origins: no Access-Control-Allow-Origin, so browsers block the read
+	static withoutCors(data, status) {
+		return new Response(JSON.stringify(data), {
+			status,
+			headers: { ...JSON_HEADERS, Vary: 'Origin' },
+		});
+	}
+
+	static csv(body, filename, origin = '*') {
+		return new Response(body, {
+			headers: {
+				...CORS_HEADERS,
+				'Access-Control-Allow-Origin': origin,
+				'Content-Type': 'text/csv; charset=utf-8',
+				'Content-Disposition': `attachment; filename="${filename}"`,
+			},
+		});
+	}
+
+	static preflight(origin = '*') {
+		return new Response(null, {
+			status: 204,
+			headers: {
+				...CORS_HEADERS,
+				'Access-Control-Allow-Origin': origin,
 			},
 		});
 	}
+}
+
+// Structured logging: one JSON record per line so Logpush can parse it. LOG_LEVEL (env) or
+// CONFIG.LOGGING.LEVEL picks the threshold; customer data is masked before anything is written.
+const LOG_LEVELS = Object.freeze({ debug: 10, info: 20, warn: 30, error: 40, silent: 100 });
+let logThreshold = LOG_LEVELS[CONFIG.LOGGING.LEVEL];
+
+// env is fixed per deployment, so setting the shared threshold per request is safe
+function configureLogging(env) {
+	logThreshold = LOG_LEVELS[String(env.LOG_LEVEL || CONFIG.LOGGING.LEVEL).toLowerCase()] ?? LOG_LEVELS.info;
+}
+
+// Phone numbers keep their first and last three digits; YYYY-MM-DD dates are left alone
+const PHONE_PATTERN = /(?<![\w.:-])(?!\d{4}-\d{2}-\d{2}(?!\d))\+?\d(?:[\s-]?\d){7,14}(?![\w.:-])/g;
+// Also catches URL-encoded addresses in upstream URLs (`email=jane%40example.com`)
+const EMAIL_PATTERN = /([^\s@"'<>&?=/]+)(@|%40)([^\s@"'<>&/]+\.[^\s@"'<>&/]+)/gi;
+const SECRET_PARAM_PATTERN = /((?:api_?key|token|secret|key)=)[^&\s]+/gi;
+const SECRET_FIELD_PATTERN = /key|token|secret|authorization|password|signature|cookie/i;
+
+function maskPhone(value) {
+	const digits = value.replace(/\D/g, '');
+	return `${value.startsWith('+') ? '+' : ''}${digits.slice(0, 3)}${'*'.repeat(digits.length - 6)}${digits.slice(-3)}`;
+}
+
+function redact(value, field = '') {
+	if (value === null || value === undefined) return value;
+	if (field && SECRET_FIELD_PATTERN.test(field)) return '[REDACTED]';
+	if (value instanceof Error) {
+		return { name: value.name, message: redact(value.message), stack: redact(value.stack) };
+	}
+	if (typeof value === 'string') {
+		return value
+			.replace(SECRET_PARAM_PATTERN, '$1[REDACTED]')
+			.replace(/Bearer\s+\S+/gi, 'Bearer [REDACTED]')
+			.replace(EMAIL_PATTERN, (match, local, at, domain) => `${local[0]}***${at}${domain}`)
+			.replace(PHONE_PATTERN, maskPhone);
+	}
+	if (Array.isArray(value)) return value.map((item) => redact(item));
+	if (typeof value === 'object') {
+		return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redact(item, key)]));
+	}
+	return value;
+}
+
+function createLogger(fields = {}) {
+	const write = (level, message, data = {}) => {
+		if (LOG_LEVELS[level] < logThreshold) return;
+		const record = JSON.stringify({ level, time: new Date().toISOString(), ...fields, message, ...redact(data) });
+		(level === 'error' ? console.error : level === 'warn' ? console.warn : console.log)(record);
+	};
+
+	return {
+		debug: (message, data) => write('debug', message, data),
+		info: (message, data) => write('info', message, data),
+		warn: (message, data) => write('warn', message, data),
+		error: (message, data) => write('error', message, data),
+		// Request-scoped loggers carry the request ID on every record
+		child: (extra) => createLogger({ ...fields, ...extra }),
+	};
+}
+
+// For helpers that run outside a request's context
+const logger = createLogger();
+
+// Efficient IP detection
+const getClientIP = (request) =>
+	request.headers.get('CF-Connecting-IP') || request.headers.get('X-Forwarded-For')?.split(',')[0]?.trim() || 'unknown';
+
+// IPv4 or IPv6 text to { version, value } with the address as a BigInt; IPv4-mapped IPv6 counts as IPv4
+function parseIP(ip) {
+	if (/^\d{1,3}(\.\d{1,3}){3}$/.test(ip)) {
+		const octets = ip.split('.').map(Number);
+		if (octets.some((octet) => octet > 255)) return null;
+		return { version: 4, value: octets.reduce((value, octet) => (value << 8n) | BigInt(octet), 0n) };
+	}
+	if (!ip.includes(':')) return null;
+
+	// Drop the zone index and turn a dotted IPv4 tail into two hextets
+	let address = ip.split('%')[0].toLowerCase();
+	const ipv4Tail = address.match(/^(.*:)(\d{1,3}(?:\.\d{1,3}){3})$/);
+	if (ipv4Tail) {
+		const tail = parseIP(ipv4Tail[2]);
+		if (!tail) return null;
+		address = `${ipv4Tail[1]}${(tail.value >> 16n).toString(16)}:${(tail.value & 0xffffn).toString(16)}`;
+	}
+
+	const halves = address.split('::');
+	if (halves.length > 2) return null;
+	const head = halves[0] ? halves[0].split(':') : [];
+	const tail = halves[1] ? halves[1].split(':') : [];
+	const missing = 8 - head.length - tail.length;
+	if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+
+	const hextets = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+	if (!hextets.every((hextet) => /^[0-9a-f]{1,4}$/.test(hextet))) return null;
+	const value = hextets.reduce((value, hextet) => (value << 16n) | BigInt(`0x${hextet}`), 0n);
+
+	if (value >> 32n === 0xffffn) return { version: 4, value: value & 0xffffffffn };
+	return { version: 6, value };
+}
+
+// `10.0.0.0/8`, `2001:db8::/32` or a bare address (a single-host range)
+function parseCIDR(entry) {
+	const [address, prefix] = entry.split('/');
+	const ip = parseIP(address);
+	if (!ip || (prefix !== undefined && !/^\d+$/.test(prefix))) return null;
+
+	const width = ip.version === 4 ? 32 : 128;
+	// Prefixes on IPv4-mapped IPv6 ranges count from the start of the IPv6 address
+	const bits = prefix === undefined ? width : Number(prefix) - (address.includes(':') && ip.version === 4 ? 96 : 0);
+	if (bits < 0 || bits > width) return null;
+
+	const shift = BigInt(width - bits);
+	return { version: ip.version, network: ip.value >> shift, shift };
+}
+
+function ipInRanges(clientIP, ranges) {
+	const ip = parseIP(clientIP);
+	return !!ip && ranges.some((range) => range.version === ip.version && ip.value >> range.shift === range.network);
+}
+
+// IP_ALLOWLIST / IP_BLOCKLIST are comma-separated addresses or CIDR ranges. KV keys `ip_allowlist` /
+// `ip_blocklist` hold JSON arrays in the same format, so ranges can change without a deploy.
+async function loadIPRanges(env, list) {
+	const entries = (env[`IP_${list.toUpperCase()}`] || '').split(',');
+
+	if (env.TEST_LIMITER) {
+		try {
+			entries.push(...((await env.TEST_LIMITER.get(`ip_${list}`, { type: 'json', cacheTtl: 60 })) || []));
+		} catch (error) {
+			logger.error('Error loading IP list', { list, error });
+		}
+	}
+
+	return entries
+		.map((entry) => String(entry).trim())
+		.filter(Boolean)
+		.map((entry) => {
+			const range = parseCIDR(entry);
+			if (!range) logger.warn('Ignoring invalid IP list entry', { list, entry });
+			return range;
+		})
+		.filter(Boolean);
+}
+
+// Blocklist wins over the allowlist; allowlisted IPs are exempt from logViolation's auto-blocks
+async function resolveIPPolicy(clientIP, env) {
+	const [blocklist, allowlist, autoBlock] = await Promise.all([
+		loadIPRanges(env, 'blocklist'),
+		loadIPRanges(env, 'allowlist'),
+		env.TEST_LIMITER?.get(`ip_block_${clientIP}`).catch(() => null),
+	]);
+
+	if (ipInRanges(clientIP, blocklist)) return { blocked: true, reason: 'blocklist' };
+	if (ipInRanges(clientIP, allowlist)) return { blocked: false, allowed: true };
+	if (autoBlock) return { blocked: true, reason: 'auto_block' };
+	return { blocked: false, allowed: false };
+}
+
+// `https://*.example.com` matches any subdomain depth, but not the apex itself
+function matchOrigin(origin, pattern) {
+	if (origin === pattern) return true;
+	const wildcard = pattern.match(/^(https?:\/\/)\*\.(.+)$/);
+	return !!wildcard && origin.startsWith(wildcard[1]) && origin.slice(wildcard[1].length).endsWith(`.${wildcard[2]}`);
+}
+
+// ORIGIN_RATE_LIMITS is JSON keyed by origin or pattern, e.g. {"https://*.example.com": {"PER_MINUTE": 30}}
+function parseOriginRateLimits(env) {
+	if (!env.ORIGIN_RATE_LIMITS) return {};
+	try {
+		return JSON.parse(env.ORIGIN_RATE_LIMITS);
+	} catch (error) {
+		logger.error('Invalid ORIGIN_RATE_LIMITS JSON', { error: error.message });
+		return {};
+	}
+}
+
+// ALLOWED_ORIGINS is a comma-separated list of exact origins and `*.` wildcards. The allowlist is opt-in:
+// while it is unset every Origin is accepted and reflected back, and a warning is logged once per isolate.
+// Requests without an Origin header are not browsers, so CORS cannot protect them anyway; they always pass
+// here and are left to the rate limits and REQUIRE_CLIENT_TOKEN.
+let warnedOpenOrigins = false;
+
+const allowedOriginPatterns = (env) =>
+	(env.ALLOWED_ORIGINS || '')
+		.split(',')
+		.map((pattern) => pattern.trim())
+		.filter(Boolean);
+
+function resolveOriginPolicy(origin, env, log = logger) {
+	const patterns = allowedOriginPatterns(env);
+
+	if (patterns.length === 0 && !warnedOpenOrigins) {
+		warnedOpenOrigins = true;
+		log.warn('ALLOWED_ORIGINS not set, accepting requests from any origin');
+	}
+
+	if (patterns.length === 0 || origin === '*') {
+		return { allowed: true, rateLimits: CONFIG.RATE_LIMITS };
+	}
+
+	const pattern = patterns.find((candidate) => matchOrigin(origin, candidate));
+	if (!pattern) {
+		return { allowed: false };
+	}
+
+	const overrides = parseOriginRateLimits(env);
+	return {
+		allowed: true,
+		rateLimits: { ...CONFIG.RATE_LIMITS, ...(overrides[origin] || overrides[pattern]) },
+	};
+}
+
+// Route table - legacy root alias keeps deployed widget snippets working
+const ROUTES = Object.freeze({
+	'/': { methods: ['GET', 'POST'], rateLimited: true, handler: handleLegacyRoot },
+	'/v1/whatsapp/check': { methods: ['POST'], rateLimited: true, handler: processValidation },
+	'/v1/whatsapp/check-batch': { methods: ['POST'], rateLimited: true, handler: processBatchValidation },
+	'/v1/email/check': { methods: ['GET'], rateLimited: true, handler: processEmailValidation },
+	'/v1/token': { methods: ['GET'], rateLimited: true, handler: handleTokenIssue },
+	'/v1/health': { methods: ['GET'], rateLimited: false, handler: handleHealth },
+	'/v1/stats': { methods: ['GET'], rateLimited: false, handler: handleStats },
+	'/stats': { methods: ['GET'], rateLimited: false, handler: handleStats },
+	'/v1/jobs': { methods: ['POST'], rateLimited: false, handler: handleJobCreate },
+	'/v1/jobs/:id': { methods: ['GET'], rateLimited: false, handler: handleJobStatus },
+	'/v1/jobs/:id/result.csv': { methods: ['GET'], rateLimited: false, handler: handleJobResult },
+});
+
+// `:name` segments match a single path segment and reach handlers as context.params
+const ROUTE_PATTERNS = Object.entries(ROUTES).map(([path, route]) => ({
+	route,
+	pattern: new RegExp(`^${path.replace(/\./g, '\\.').replace(/:(\w+)/g, '(?<$1>[^/]+)')}$`),
+}));
+
+// Trailing slashes are ignored so `/v1/health/` resolves like `/v1/health`
+function resolveRoute(pathname) {
+	const path = pathname.replace(/\/+$/, '') || '/';
+	for (const { route, pattern } of ROUTE_PATTERNS) {
+		const match = path.match(pattern);
+		if (match) return { ...route, params: match.groups || {} };
+	}
+	return null;
+}
+
+// Every request gets an ID, echoed as X-Request-Id and attached to all of its log records
+async function handleRequest(request, env, ctx) {
+	configureLogging(env);
+	const startedAt = Date.now();
+	const incomingId = request.headers.get(CONFIG.LOGGING.REQUEST_ID_HEADER) || '';
+	const requestId = /^[\w-]{8,64}$/.test(incomingId) ? incomingId : crypto.randomUUID();
+	const log = logger.child({ requestId });
+
+	const response = await routeRequest(request, env, ctx, log);
+	response.headers.set(CONFIG.LOGGING.REQUEST_ID_HEADER, requestId);
+
+	log.info('Request completed', {
+		method: request.method,
+		path: new URL(request.url).pathname,
+		status: response.status,
+		durationMs: Date.now() - startedAt,
+	});
+	return response;
+}
+
+async function routeRequest(request, env, ctx, log) {
+	const clientIP = getClientIP(request);
+	const origin = request.headers.get('Origin') || '*';
+	const url = new URL(request.url);
+	// Whatever is known about the client's quota when a response goes out; see rateLimitHeaders
+	let rateLimits = CONFIG.RATE_LIMITS;
+	let rateLimitCheck = null;
+	const withRateLimitHeaders = (response) => {
+		Object.entries(rateLimitHeaders(rateLimitCheck, rateLimits)).forEach(([name, value]) => response.headers.set(name, value));
+		return response;
+	};
+
+	try {
+		// Blocked IPs get nothing, not even CORS headers
+		const ipPolicy = await resolveIPPolicy(clientIP, env);
+		if (ipPolicy.blocked) {
+			log.warn('Blocked IP', { clientIP, reason: ipPolicy.reason });
+			return ResponseBuilder.withoutCors(
+				{
+					status: false,
+					message: 'Forbidden',
+				},
+				403,
+			);
+		}
+
+		// Reject origins outside ALLOWED_ORIGINS before doing any work for them
+		const originPolicy = resolveOriginPolicy(origin, env, log);
+		if (!originPolicy.allowed) {
+			log.warn('Rejected origin', { origin, clientIP });
+			if (CONFIG.MONITORING.ENABLED && CONFIG.MONITORING.LOG_VIOLATIONS && env.TEST_LIMITER) {
+				ctx.waitUntil(logViolation(clientIP, 'origin_not_allowed', env.TEST_LIMITER, 'origin', { origin }));
+			}
+
+			return ResponseBuilder.withoutCors(
+				{
+					status: false,
+					message: 'Origin not allowed',
+				},
+				403,
+			);
+		}
+		// PER_MINUTE stays the hard limit unless a challenge provider can let clients past it
+		const { PER_MINUTE, HARD_PER_MINUTE } = originPolicy.rateLimits;
+		rateLimits = {
+			...originPolicy.rateLimits,
+			HARD_PER_MINUTE: resolveChallengeProvider(env) ? Math.max(PER_MINUTE, HARD_PER_MINUTE) : 0,
+		};
+
+		// Early return for preflight
+		if (request.method === 'OPTIONS') {
+			return ResponseBuilder.preflight(origin);
+		}
+
+		// Early return for unknown paths
+		const route = resolveRoute(url.pathname);
+		if (!route) {
+			return withRateLimitHeaders(
+				ResponseBuilder.json(
+					{
+						status: false,
+						message: 'Not found',
+						path: url.pathname,
+					},
+					404,
+					origin,
+				),
+			);
+		}
+
+		// Early return for invalid methods
+		if (!route.methods.includes(request.method)) {
+			return withRateLimitHeaders(
+				ResponseBuilder.json(
+					{
+						status: false,
+						message: `Method not allowed. Use ${route.methods.join(' or ')}.`,
+						method: request.method,
+					},
+					405,
+					origin,
+					{ Allow: [...route.methods, 'OPTIONS'].join(', ') },
+				),
+			);
+		}
+
+		const context = { ctx, url, origin, clientIP, log, params: route.params };
+		const validate = () => route.handler(request, env, context);
+
+		const rateLimitStore = createRateLimitStore(env);
+
+		// Health and stats are not counted against the client's quota, but still report it
+		if (!route.rateLimited) {
+			rateLimitCheck = rateLimitStore && (await peekRateLimit(clientIP, rateLimitStore, rateLimits, log));
+			return withRateLimitHeaders(await validate());
+		}
+
+		// Hourly request counter for /stats
+		if (CONFIG.MONITORING.ENABLED && CONFIG.MONITORING.TRACK_PATTERNS && env.TEST_LIMITER) {
+			ctx.waitUntil(trackRequest(clientIP, env.TEST_LIMITER));
+		}
+
+		// Allowlisted IPs skip rate limiting
+		if (ipPolicy.allowed) {
+			log.debug('Allowlisted IP, skipping rate limits', { clientIP });
+			rateLimitCheck = rateLimitStore && (await peekRateLimit(clientIP, rateLimitStore, rateLimits, log));
+			return withRateLimitHeaders(await validate());
+		}
+
+		// Check if a rate-limit backend is available
+		if (!rateLimitStore) {
+			log.warn('Neither RATE_LIMITER_DO nor KV namespace TEST_LIMITER bound, skipping rate limiting');
+			return withRateLimitHeaders(await validate());
+		}
+
+		// A batch costing more than the IP tiers can ever hold would be rate limited however long the client waits
+		const targets = await getRateLimitTargets(request, url, env);
+		const capacity = rateLimitCapacity(rateLimits);
+		if (targets.length > capacity) {
+			return withRateLimitHeaders(
+				ResponseBuilder.json(
+					{
+						status: false,
+						message: `At most ${capacity} numbers per batch under the current rate limits`,
+						received: targets.length,
+						maxNumbers: capacity,
+					},
+					400,
+					origin,
+				),
+			);
+		}
+
+		// Check rate limits
+		rateLimitCheck = await checkRateLimit(clientIP, rateLimitStore, targets, rateLimits, log);
+
+		if (!rateLimitCheck.allowed) {
+			// Log rate limit violation if monitoring enabled
+			if (CONFIG.MONITORING.ENABLED && CONFIG.MONITORING.LOG_VIOLATIONS && env.TEST_LIMITER) {
+				ctx.waitUntil(logViolation(clientIP, rateLimitCheck.reason, env.TEST_LIMITER, rateLimitCheck.window));
+			}
+
+			const headers = rateLimitHeaders(rateLimitCheck, rateLimits);
+
+			if ((env.RATE_LIMIT_RESPONSE_MODE || CONFIG.RATE_LIMITS.RESPONSE_MODE) === 'http_429') {
+				return ResponseBuilder.json(
+					{
+						status: false,
+						message: 'Too many requests',
+						limit: rateLimitCheck.window,
+						retryAfter: Number(headers['Retry-After']),
+					},
+					429,
+					origin,
+					headers,
+				);
+			}
+
+			// Return generic message (silently fail as requested)
+			return ResponseBuilder.json(
+				{
+					success: false,
+					data: {
+						status: false,
+						message: 'Service temporarily unavailable',
+					},
+					message: 'Please try again later',
+					limit: rateLimitCheck.window,
+				},
+				200,
+				origin,
+				headers,
+			);
+		}
+
+		// Past the soft limit every request has to carry a solved challenge
+		if (rateLimitCheck.challengeRequired) {
+			const challengeResponse = await requireChallenge(request, env, clientIP, origin, log);
+			if (challengeResponse) {
+				// Nothing was served, so only the retry carrying the solution is charged
+				await refundRateLimit(rateLimitStore, rateLimitCheck.charges, log);
+				rateLimitCheck = await peekRateLimit(clientIP, rateLimitStore, rateLimits, log);
+				return withRateLimitHeaders(challengeResponse);
+			}
+		}
+
+		// Process the validation
+		return withRateLimitHeaders(await validate());
+	} catch (error) {
+		log.error('Worker error', { error });
+
+		return withRateLimitHeaders(
+			ResponseBuilder.json(
+				{
+					status: false,
+					message: 'Internal server error',
+					error: error.message,
+				},
+				500,
+				origin,
+			),
+		);
+	}
+}
+
+// Legacy root: POST is a phone check, GET ?email= is an email check
+function handleLegacyRoot(request, env, context) {
+	if (request.method === 'GET') {
+		return processEmailValidation(request, env, context);
+	}
+	return processValidation(request, env, context, true);
+}
+
+async function handleHealth(request, env, context) {
+	const circuitBreakers = await getBreakerSnapshot(env);
+
+	return ResponseBuilder.json(
+		{
+			status: circuitBreakers.some((breaker) => breaker.state === 'open') ? 'degraded' : 'ok',
+			timestamp: new Date().toISOString(),
+			bindings: {
+				rateLimiter: !!env.TEST_LIMITER,
+				whatsappProviders: resolveProviderChain(env),
+				email: !!env.QEV_API_KEY,
+				jobStorage: env.BULK_JOBS_BUCKET ? 'r2' : env.TEST_LIMITER ? 'kv' : null,
+				jobQueue: env.BULK_QUEUE ? 'queue' : 'in-memory',
+			},
+			circuitBreakers,
+		},
+		200,
+		context.origin,
+	);
+}
+
+// Bearer ADMIN_TOKEN; both sides are hashed first so the comparison can't leak the token's prefix
+async function isAdminRequest(request, env) {
+	const provided = (request.headers.get('Authorization') || '').match(/^Bearer\s+(.+)$/i)?.[1];
+	return !!provided && (await hashKey(provided)) === (await hashKey(env.ADMIN_TOKEN));
+}
+
+// `from`/`to` are inclusive YYYY-MM-DD days (UTC), defaulting to today
+function parseStatsRange(url) {
+	const today = new Date().toISOString().split('T')[0];
+	const to = url.searchParams.get('to') || today;
+	const from = url.searchParams.get('from') || to;
+	const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+	if (!isDay(from) || !isDay(to)) return { error: 'from and to must be YYYY-MM-DD dates' };
+
+	const dayCount = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+	if (dayCount < 1) return { error: 'from must not be after to' };
+	if (dayCount > CONFIG.MONITORING.MAX_STATS_DAYS) {
+		return { error: `Range is limited to ${CONFIG.MONITORING.MAX_STATS_DAYS} days` };
+	}
+
+	const days = Array.from({ length: dayCount }, (_, i) => new Date(Date.parse(from) + i * 86400000).toISOString().split('T')[0]);
+	return { from, to, days };
+}
+
+// Returns a 503/401 response unless ADMIN_TOKEN is set and the request carries it
+async function requireAdmin(request, env, origin) {
+	if (!env.ADMIN_TOKEN) {
+		return ResponseBuilder.json(
+			{
+				status: false,
+				message: 'Admin endpoints unavailable: ADMIN_TOKEN not configured',
+			},
+			503,
+			origin,
+		);
+	}
+
+	if (!(await isAdminRequest(request, env))) {
+		return ResponseBuilder.json(
+			{
+				status: false,
+				message: 'Unauthorized',
+			},
+			401,
+			origin,
+			{ 'WWW-Authenticate': 'Bearer' },
+		);
+	}
+
+	return null;
+}
+
+async function handleStats(request, env, context) {
+	const adminRejection = await requireAdmin(request, env, context.origin);
+	if (adminRejection) return adminRejection;
+
+	if (!env.TEST_LIMITER) {
+		return ResponseBuilder.json(
+			{
+				status: false,
+				message: 'Stats unavailable: KV namespace not bound',
+			},
+			503,
+			context.origin,
+		);
+	}
+
+	const range = parseStatsRange(context.url);
+	if (range.error) {
+		return ResponseBuilder.json(
+			{
+				status: false,
+				message: range.error,
+			},
+			400,
+			context.origin,
+		);
+	}
+
+	const store = env.TEST_LIMITER;
+	const hours = range.days.flatMap((day) => Array.from({ length: 24 }, (_, hour) => `${day}T${String(hour).padStart(2, '0')}`));
+	const providers = Object.keys(WHATSAPP_PROVIDERS);
+
+	const [hourlyCounts, dailyViolations, topOffenders, providerLatency, cache, circuitBreakers] = await Promise.all([
+		Promise.all(hours.map((hour) => getCount(store, `requests_${hour}`))),
+		Promise.all(
+			range.days.map(async (day) => {
+				const [total, ...tierCounts] = await Promise.all([
+					getCount(store, `violations_count_${day}`),
+					...VIOLATION_TIERS.map((tier) => getCount(store, `violations_count_${tier}_${day}`)),
+				]);
+				return { total, byTier: Object.fromEntries(VIOLATION_TIERS.map((tier, i) => [tier, tierCounts[i]])) };
+			}),
+		),
+		getTopOffenders(store, range.days),
+		Promise.all(providers.map((provider) => getProviderLatency(store, provider, range.days))),
+		Promise.all(['wa', 'email'].map((kind) => getCacheStats(store, kind, range.days))),
+		getBreakerSnapshot(env),
+	]);
+
+	return ResponseBuilder.json(
+		{
+			timestamp: new Date().toISOString(),
+			range: { from: range.from, to: range.to },
+			requests: {
+				total: hourlyCounts.reduce((sum, count) => sum + count, 0),
+				hourly: Object.fromEntries(hours.map((hour, i) => [hour, hourlyCounts[i]])),
+			},
+			violations: {
+				total: dailyViolations.reduce((sum, day) => sum + day.total, 0),
+				daily: Object.fromEntries(range.days.map((day, i) => [day, dailyViolations[i]])),
+			},
+			topOffenders,
+			providerLatency: Object.fromEntries(providers.map((provider, i) => [provider, providerLatency[i]])),
+			cache: { wa: cache[0], email: cache[1] },
+			circuitBreakers,
+		},
+		200,
+		context.origin,
+		{ 'Cache-Control': 'no-store' },
+	);
+}
+
+// HMAC-SHA256 helpers shared by everything the worker signs
+const base64url = (bytes) =>
+	btoa(String.fromCharCode(...new Uint8Array(bytes)))
+		.replace(/\+/g, '-')
+		.replace(/\//g, '_')
+		.replace(/=+$/, '');
+const fromBase64url = (text) => Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), (char) => char.charCodeAt(0));
+
+const importHmacKey = (secret) =>
+	crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+
+async function hmacSign(secret, message) {
+	const signature = await crypto.subtle.sign('HMAC', await importHmacKey(secret), new TextEncoder().encode(message));
+	return base64url(signature);
+}
+
+// crypto.subtle.verify compares in constant time
+async function hmacVerify(secret, message, signature) {
+	try {
+		return await crypto.subtle.verify('HMAC', await importHmacKey(secret), fromBase64url(signature), new TextEncoder().encode(message));
+	} catch (error) {
+		return false;
+	}
+}
+
+// Client tokens are `<base64url payload>.<signature>`, the payload binding origin, client IP and expiry
+async function issueClientToken(secret, origin, clientIP) {
+	const expiresAt = Date.now() + CONFIG.CLIENT_TOKEN.TTL_SECONDS * 1000;
+	const payload = base64url(new TextEncoder().encode(JSON.stringify({ o: origin, ip: clientIP, exp: expiresAt, n: crypto.randomUUID() })));
+	return { token: `${payload}.${await hmacSign(secret, payload)}`, expiresAt };
+}
+
+async function verifyClientToken(secret, token, origin, clientIP) {
+	const [payload, signature] = (token || '').split('.');
+	if (!payload || !signature || !(await hmacVerify(secret, payload, signature))) {
+		return { valid: false, reason: 'invalid_signature' };
+	}
+
+	const claims = JSON.parse(new TextDecoder().decode(fromBase64url(payload)));
+	if (Date.now() > claims.exp) return { valid: false, reason: 'expired' };
+	if (claims.o !== origin) return { valid: false, reason: 'origin_mismatch' };
+	if (claims.ip !== clientIP) return { valid: false, reason: 'ip_mismatch' };
+	return { valid: true };
+}
+
+// Receipts let the form's backend check what the worker answered: `<base64url payload>.<signature>` over
+// {t: 'whatsapp'|'email', v: E.164 number or lowercased address, s: status, o: origin, iat}. Signed with
+// RECEIPT_SECRET (or TOKEN_SECRET); null when neither is bound.
+async function issueReceipt(env, type, value, status, origin) {
+	const secret = env.RECEIPT_SECRET || env.TOKEN_SECRET;
+	if (!secret) return null;
+
+	const payload = base64url(new TextEncoder().encode(JSON.stringify({ t: type, v: value, s: status, o: origin, iat: Date.now() })));
+	return `${payload}.${await hmacSign(secret, payload)}`;
+}
+
+const whatsappReceipt = (env, result, origin) =>
+	issueReceipt(env, 'whatsapp', result.number, result.registered ? 'verified' : 'unregistered', origin);
+
+// `unknown` is not an answer worth vouching for
+const emailReceipt = (env, result, origin) =>
+	result.result === 'unknown'
+		? null
+		: issueReceipt(env, 'email', result.email.toLowerCase(), result.result === 'valid' ? 'verified' : 'invalid', origin);
+
+// Returns a 401 response when REQUIRE_CLIENT_TOKEN is on and the request carries no valid token
+async function requireClientToken(request, env, context) {
+	const { origin, clientIP, log } = context;
+	if (env.REQUIRE_CLIENT_TOKEN !== 'true') return null;
+
+	const check = env.TOKEN_SECRET
+		? await verifyClientToken(env.TOKEN_SECRET, request.headers.get(CONFIG.CLIENT_TOKEN.HEADER), origin, clientIP)
+		: { valid: false, reason: 'not_configured' };
+
+	if (check.valid) return null;
+
+	log.warn('Client token rejected', { reason: check.reason });
+	return ResponseBuilder.json(
+		{
+			status: false,
+			message: 'Invalid or expired client token',
+			code: 'invalid_token',
+			reason: check.reason,
+		},
+		401,
+		origin,
+	);
+}
+
+async function handleTokenIssue(request, env, context) {
+	if (!env.TOKEN_SECRET) {
+		return ResponseBuilder.json(
+			{
+				status: false,
+				message: 'Token issuance not configured',
+			},
+			503,
+			context.origin,
+		);
+	}
+
+	// Only pages on ALLOWED_ORIGINS get tokens; without the allowlist any script could mint one for itself
+	const patterns = allowedOriginPatterns(env);
+	if (context.origin === '*' || !patterns.some((pattern) => matchOrigin(context.origin, pattern))) {
+		context.log.warn('Token refused', { origin: context.origin, clientIP: context.clientIP });
+		return ResponseBuilder.json(
+			{
+				status: false,
+				message: patterns.length ? 'Origin not allowed' : 'Token issuance requires ALLOWED_ORIGINS',
+			},
+			403,
+			context.origin,
+		);
+	}
+
+	const { token, expiresAt } = await issueClientToken(env.TOKEN_SECRET, context.origin, context.clientIP);
+
+	return ResponseBuilder.json(
+		{
+			token,
+			expiresAt: new Date(expiresAt).toISOString(),
+			expiresIn: CONFIG.CLIENT_TOKEN.TTL_SECONDS,
+		},
+		200,
+		context.origin,
+		{ 'Cache-Control': 'no-store' },
+	);
+}
+
+// Challenges are stateless: a pow challenge is `<base64url payload>.<signature>` binding the client IP,
+// difficulty and expiry. The client answers with `<provider>:<solution>` in CONFIG.CHALLENGE.HEADER
+const leadingZeroBits = (bytes) => {
+	let bits = 0;
+	for (const byte of bytes) {
+		if (byte === 0) {
+			bits += 8;
+			continue;
+		}
+		return bits + Math.clz32(byte) - 24;
+	}
+	return bits;
+};
+
+const CHALLENGE_PROVIDERS = Object.freeze({
+	pow: {
+		secret: (env) => env.CHALLENGE_SECRET || env.TOKEN_SECRET,
+		isConfigured(env) {
+			return Boolean(this.secret(env));
+		},
+		async issue(env, clientIP) {
+			const expiresAt = Date.now() + CONFIG.CHALLENGE.TTL_SECONDS * 1000;
+			const claims = { ip: clientIP, d: CONFIG.CHALLENGE.DIFFICULTY, exp: expiresAt, n: crypto.randomUUID() };
+			const payload = base64url(new TextEncoder().encode(JSON.stringify(claims)));
+			return {
+				type: 'pow',
+				challenge: `${payload}.${await hmacSign(this.secret(env), payload)}`,
+				difficulty: claims.d,
+				expiresAt: new Date(expiresAt).toISOString(),
+			};
+		},
+		// Solution is `<challenge>:<nonce>`
+		async verify(env, clientIP, solution) {
+			const separator = solution.lastIndexOf(':');
+			const challenge = solution.slice(0, separator);
+			const [payload, signature] = challenge.split('.');
+			if (separator < 0 || !payload || !signature || !(await hmacVerify(this.secret(env), payload, signature))) {
+				return { passed: false, reason: 'invalid_signature' };
+			}
+
+			const claims = JSON.parse(new TextDecoder().decode(fromBase64url(payload)));
+			if (Date.now() > claims.exp) return { passed: false, reason: 'expired' };
+			if (claims.ip !== clientIP) return { passed: false, reason: 'ip_mismatch' };
+
+			const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(solution));
+			if (leadingZeroBits(new Uint8Array(digest)) < claims.d) return { passed: false, reason: 'insufficient_work' };
+
+			// Each solved challenge buys one request; KV is eventually consistent, so this is best effort
+			if (env.TEST_LIMITER) {
+				const usedKey = `challenge_used_${signature}`;
+				if (await env.TEST_LIMITER.get(usedKey)) return { passed: false, reason: 'replayed' };
+				await env.TEST_LIMITER.put(usedKey, '1', { expirationTtl: Math.max(60, CONFIG.CHALLENGE.TTL_SECONDS) });
+			}
+			return { passed: true };
+		},
+	},
+	turnstile: {
+		isConfigured: (env) => Boolean(env.TURNSTILE_SITE_KEY && env.TURNSTILE_SECRET_KEY),
+		async issue(env) {
+			return { type: 'turnstile', siteKey: env.TURNSTILE_SITE_KEY };
+		},
+		// Solution is the Turnstile widget token
+		async verify(env, clientIP, solution) {
+			const result = await fetchJSON('https://challenges.cloudflare.com/turnstile/v0/siteverify', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ secret: env.TURNSTILE_SECRET_KEY, response: solution, remoteip: clientIP }),
+			});
+			return result.data?.success
+				? { passed: true }
+				: { passed: false, reason: (result.data?.['error-codes'] || []).join(',') || 'rejected' };
+		},
+	},
+});
+
+// The active challenge provider; null when challenges are off or the provider's bindings are missing
+function resolveChallengeProvider(env) {
+	if (!CONFIG.CHALLENGE.ENABLED) return null;
+	const name = env.CHALLENGE_PROVIDER || CONFIG.CHALLENGE.PROVIDER;
+	const provider = CHALLENGE_PROVIDERS[name];
+	return provider?.isConfigured(env) ? { name, provider } : null;
+}
+
+// Returns a 403 carrying a fresh challenge unless the request holds a valid solution
+async function requireChallenge(request, env, clientIP, origin, log = logger) {
+	const challenge = resolveChallengeProvider(env);
+	if (!challenge) return null;
+	const { name, provider } = challenge;
+
+	const header = request.headers.get(CONFIG.CHALLENGE.HEADER) || '';
+	const separator = header.indexOf(':');
+	let reason = 'missing';
+
+	if (separator > 0) {
+		if (header.slice(0, separator) !== name) {
+			reason = 'wrong_provider';
+		} else {
+			try {
+				const check = await provider.verify(env, clientIP, header.slice(separator + 1));
+				if (check.passed) return null;
+				reason = check.reason;
+			} catch (error) {
+				log.error('Challenge verification error', { error });
+				reason = 'verification_failed';
+			}
+		}
+	}
+
+	log.info('Challenge required', { clientIP, reason });
+	return ResponseBuilder.json(
+		{
+			status: false,
+			message: 'Challenge required',
+			code: 'challenge_required',
+			reason,
+			challenge: await provider.issue(env, clientIP),
+		},
+		403,
+		origin,
+	);
+}
+
+// Optimized rate limiting with batch operations
+// IP tiers are charged once per target (a batch of N numbers costs N); the target tier is checked per target.
+// A rejection hands back whatever earlier tiers already took, so a denied request costs nothing.
+async function checkRateLimit(clientIP, store, targets = [], limits = CONFIG.RATE_LIMITS, log = logger) {
+	const now = Date.now();
+	// Targets are hashed so raw numbers and emails never end up in counter keys
+	const targetKeys = await Promise.all(targets.map((target) => hashKey(target)));
+	const cost = Math.max(1, targets.length);
+	const algorithm = RATE_LIMIT_ALGORITHMS[limits.ALGORITHM] ? limits.ALGORITHM : 'fixed_window';
+	let tightest = null;
+	// Set once a tier with a ceiling is past its limit
+	let challengeRequired = false;
+	// Every counter this request has been charged against, for refundRateLimit
+	const charges = [];
+
+	try {
+		// Tiers run in order and stop at the first one that trips
+		for (const tier of RATE_LIMIT_TIERS.filter((candidate) => limits[candidate.limit])) {
+			const subjects = tier.scope === 'target' ? targetKeys : [clientIP];
+
+			const policy = {
+				algorithm,
+				limit: limits[tier.limit],
+				windowSeconds: limits[tier.window],
+				burst: tier.burst ? limits[tier.burst] : null,
+				cost: tier.scope === 'target' ? 1 : cost,
+			};
+
+			for (const subject of subjects) {
+				// Check and update in one backend call
+				const key = `rate_${tier.name}_${subject}${RATE_LIMIT_ALGORITHMS[algorithm].key(now, policy)}`;
+				const { allowed, remaining, resetAt } = await store.consume(key, policy);
+
+				// Not charged here; the ceiling tier counts the request instead
+				if (!allowed && tier.ceiling && limits[tier.ceiling]) {
+					challengeRequired = true;
+					tightest = { window: tier.name, limit: policy.limit, remaining: 0, resetAt };
+					continue;
+				}
+
+				if (!allowed) {
+					await refundRateLimit(store, charges, log);
+					log.warn('Rate limit exceeded', {
+						clientIP,
+						tier: tier.name,
+						limit: policy.limit,
+						windowSeconds: policy.windowSeconds,
+						cost: policy.cost,
+					});
+					return {
+						allowed: false,
+						reason: `${tier.name}_limit_exceeded`,
+						limit: policy.limit,
+						window: tier.name,
+						remaining: 0,
+						resetAt,
+					};
+				}
+
+				charges.push({ key, policy });
+				if (!tightest || remaining < tightest.remaining) {
+					tightest = { window: tier.name, limit: policy.limit, remaining, resetAt };
+				}
+			}
+		}
+
+		log.debug('Request allowed', { clientIP, tightestWindow: tightest?.window, remaining: tightest?.remaining });
+
+		return {
+			allowed: true,
+			...tightest,
+			challengeRequired,
+			charges,
+		};
+	} catch (error) {
+		log.error('Rate limit check error', { error });
+		// Fail open on errors; nothing is known about the quota, so headers only carry the policy
+		return { allowed: true, failedOpen: true };
+	}
+}
+
+// The client's standing in the IP tiers without charging anything, for requests that skip checkRateLimit
+async function peekRateLimit(clientIP, store, limits = CONFIG.RATE_LIMITS, log = logger) {
+	const now = Date.now();
+	const algorithm = RATE_LIMIT_ALGORITHMS[limits.ALGORITHM] ? limits.ALGORITHM : 'fixed_window';
+	let tightest = null;
+
+	try {
+		for (const tier of RATE_LIMIT_TIERS.filter((candidate) => candidate.scope === 'ip' && limits[candidate.limit])) {
+			const policy = {
+				algorithm,
+				limit: limits[tier.limit],
+				windowSeconds: limits[tier.window],
+				burst: tier.burst ? limits[tier.burst] : null,
+				cost: 0,
+			};
+			const key = `rate_${tier.name}_${clientIP}${RATE_LIMIT_ALGORITHMS[algorithm].key(now, policy)}`;
+			const { remaining, resetAt } = await store.peek(key, policy);
+
+			if (!tightest || remaining < tightest.remaining) {
+				tightest = { window: tier.name, limit: policy.limit, remaining, resetAt };
+			}
+		}
+		return { allowed: true, ...tightest };
+	} catch (error) {
+		log.error('Rate limit peek error', { error });
+		return null;
+	}
+}
+
+// Gives back what checkRateLimit charged; a failed refund only leaves the quota a little tighter
+async function refundRateLimit(store, charges, log = logger) {
+	const results = await Promise.allSettled(charges.map(({ key, policy }) => store.refund(key, policy)));
+	const failed = results.filter((result) => result.status === 'rejected');
+	if (failed.length) {
+		log.error('Rate limit refund error', { failed: failed.length, error: failed[0].reason });
+	}
+}
+
+// IETF RateLimit-* headers for the tightest tier; Retry-After once the client is limited. RateLimit-Policy
+// lists the IP tiers and goes on every response; without a check result (no backend, fail-open, errors)
+// the minute limit is all that is reported, never a guessed remaining count.
+function rateLimitHeaders(rateLimitCheck, limits = CONFIG.RATE_LIMITS) {
+	const policy = RATE_LIMIT_TIERS.filter((tier) => tier.scope === 'ip' && limits[tier.limit])
+		.map((tier) => `${limits[tier.limit]};w=${limits[tier.window]}`)
+		.join(', ');
+
+	if (!rateLimitCheck?.limit) {
+		return { 'RateLimit-Limit': String(limits.PER_MINUTE), 'RateLimit-Policy': policy };
+	}
+
+	const resetSeconds = Math.max(0, Math.ceil((rateLimitCheck.resetAt - Date.now()) / 1000));
+	const headers = {
+		'RateLimit-Limit': String(rateLimitCheck.limit),
+		'RateLimit-Remaining': String(rateLimitCheck.remaining),
+		'RateLimit-Reset': String(resetSeconds),
+		'RateLimit-Policy': policy,
+	};
+
+	if (!rateLimitCheck.allowed) {
+		headers['Retry-After'] = String(Math.max(1, resetSeconds));
+	}
+
+	return headers;
+}
+
+// The most one request can be charged and still pass: the smallest IP tier, or its bucket under token_bucket.
+// A tier with a ceiling does not bound it, since past that tier the ceiling's own tier decides.
+function rateLimitCapacity(limits = CONFIG.RATE_LIMITS) {
+	const algorithm = RATE_LIMIT_ALGORITHMS[limits.ALGORITHM] ? limits.ALGORITHM : 'fixed_window';
+	return Math.min(
+		...RATE_LIMIT_TIERS.filter((tier) => tier.scope === 'ip' && limits[tier.limit] && !(tier.ceiling && limits[tier.ceiling])).map(
+			(tier) => (algorithm === 'token_bucket' && tier.burst && limits[tier.burst]) || limits[tier.limit],
+		),
+	);
+}
+
+// What a rate-limited request is about: the email for GET, the formatted number(s) for POST
+async function getRateLimitTargets(request, url, env) {
+	if (request.method === 'GET') {
+		const email = url.searchParams.get('email')?.trim().toLowerCase();
+		return email ? [`email:${email}`] : [];
+	}
+
+	try {
+		const body = await request.clone().json();
+		// Batches are charged for the same de-duplicated numbers processBatchValidation checks
+		const numbers = Array.isArray(body?.numbers) ? body.numbers.slice(0, CONFIG.BATCH.MAX_NUMBERS) : [body?.number];
+		const phoneNumbers = numbers.map((number) => formatPhoneNumber(number, resolveDefaultRegion(env))).filter(Boolean);
+		return [...new Set(phoneNumbers)].map((phoneNumber) => `wa:${phoneNumber}`);
+	} catch (error) {
+		// Malformed bodies are rejected later by parseRequestBody
+		return [];
+	}
+}
+
+// Optimized counter operations
+async function getCount(rateLimiter, key) {
+	try {
+		const value = await rateLimiter.get(key);
+		return value ? parseInt(value, 10) : 0;
+	} catch (error) {
+		logger.error('Error getting count', { error });
+		return 0;
+	}
+}
+
+async function incrementCounter(rateLimiter, key, ttl) {
+	try {
+		const current = await getCount(rateLimiter, key);
+		const newValue = current + 1;
+		await rateLimiter.put(key, newValue.toString(), {
+			expirationTtl: ttl,
+		});
+		return newValue;
+	} catch (error) {
+		logger.error('Error incrementing count', { error });
+		return 1; // Fail open
+	}
+}
+
+// Rate-limit algorithms. `apply` and `refund` are pure steps over the stored state, so every
+// backend runs the same logic; `key` adds the per-algorithm suffix to the counter key.
+// A zero `cost` makes `apply` a read: it reports the state without changing it.
+const RATE_LIMIT_ALGORITHMS = Object.freeze({
+	// One counter per aligned window - cheapest, but lets 2x through across a boundary
+	fixed_window: {
+		key: (now, policy) => `_${Math.floor(now / (policy.windowSeconds * 1000))}`,
+		ttl: (policy) => policy.windowSeconds,
+		apply(state, now, policy) {
+			const count = Number(state) || 0;
+			const cost = policy.cost ?? 1;
+			const resetAt = (Math.floor(now / (policy.windowSeconds * 1000)) + 1) * policy.windowSeconds * 1000;
+			if (count + cost > policy.limit) {
+				return { state: count, allowed: false, remaining: 0, resetAt };
+			}
+			return { state: count + cost, allowed: true, remaining: policy.limit - count - cost, resetAt };
+		},
+		refund: (state, now, policy) => Math.max(0, (Number(state) || 0) - (policy.cost || 1)),
+	},
+	// Timestamp log over the trailing window - exact, one entry per allowed request
+	sliding_window: {
+		key: () => '_sliding',
+		ttl: (policy) => policy.windowSeconds,
+		apply(state, now, policy) {
+			const windowMs = policy.windowSeconds * 1000;
+			const cost = policy.cost ?? 1;
+			const log = (Array.isArray(state) ? state : []).filter((timestamp) => now - timestamp < windowMs);
+			if (log.length + cost > policy.limit) {
+				return { state: log, allowed: false, remaining: 0, resetAt: (log[0] ?? now) + windowMs };
+			}
+			log.push(...Array(cost).fill(now));
+			return { state: log, allowed: true, remaining: policy.limit - log.length, resetAt: (log[0] ?? now) + windowMs };
+		},
+		// Drops the newest entries, which are the ones the refunded request added
+		refund(state, now, policy) {
+			const log = (Array.isArray(state) ? state : []).filter((timestamp) => now - timestamp < policy.windowSeconds * 1000);
+			return log.slice(0, Math.max(0, log.length - (policy.cost || 1)));
+		},
+	},
+	// Holds up to `burst` tokens (default: the limit) and refills limit/window per second
+	token_bucket: {
+		key: () => '_bucket',
+		ttl: (policy) => Math.ceil(((policy.burst || policy.limit) * policy.windowSeconds) / policy.limit),
+		apply(state, now, policy) {
+			const capacity = policy.burst || policy.limit;
+			const refillPerMs = policy.limit / (policy.windowSeconds * 1000);
+			const previous = state?.updatedAt ? state : { tokens: capacity, updatedAt: now };
+			const tokens = Math.min(capacity, previous.tokens + (now - previous.updatedAt) * refillPerMs);
+			const cost = policy.cost ?? 1;
+
+			// A cost above `capacity` can never be paid, so it resets once the bucket is full again
+			if (tokens < cost) {
+				const missing = Math.min(cost, capacity) - tokens;
+				return { state: previous, allowed: false, remaining: 0, resetAt: now + Math.ceil(Math.max(0, missing) / refillPerMs) };
+			}
+
+			const left = tokens - cost;
+			return {
+				state: { tokens: left, updatedAt: now },
+				allowed: true,
+				remaining: Math.floor(left),
+				resetAt: now + Math.ceil((capacity - left) / refillPerMs),
+			};
+		},
+		refund(state, now, policy) {
+			if (!state?.updatedAt) return null;
+			const capacity = policy.burst || policy.limit;
+			const refilled = state.tokens + ((now - state.updatedAt) * policy.limit) / (policy.windowSeconds * 1000);
+			return { tokens: Math.min(capacity, refilled + (policy.cost || 1)), updatedAt: now };
+		},
+	},
+});
+
+// KV backend - cheap, but the read and the write are separate operations
+class KVCounterStore {
+	constructor(kv) {
+		this.kv = kv;
+	}
+
+	async consume(key, policy) {
+		const algorithm = RATE_LIMIT_ALGORITHMS[policy.algorithm];
+		const stored = await this.kv.get(key);
+		const { state, ...result } = algorithm.apply(stored ? JSON.parse(stored) : null, Date.now(), policy);
+
+		// Rejected requests leave the state as it was
+		if (result.allowed) {
+			await this.kv.put(key, JSON.stringify(state), {
+				expirationTtl: Math.max(60, algorithm.ttl(policy)),
+			});
+		}
+
+		return result;
+	}
+
+	async peek(key, policy) {
+		const stored = await this.kv.get(key);
+		const { state, ...result } = RATE_LIMIT_ALGORITHMS[policy.algorithm].apply(stored ? JSON.parse(stored) : null, Date.now(), policy);
+		return result;
+	}
+
+	async refund(key, policy) {
+		const algorithm = RATE_LIMIT_ALGORITHMS[policy.algorithm];
+		const stored = await this.kv.get(key);
+		if (!stored) return;
+		await this.kv.put(key, JSON.stringify(algorithm.refund(JSON.parse(stored), Date.now(), policy)), {
+			expirationTtl: Math.max(60, algorithm.ttl(policy)),
+		});
+	}
+}
+
+// Durable Object backend - one object per key, so check-and-update is atomic
+class DurableObjectCounterStore {
+	constructor(namespace) {
+		this.namespace = namespace;
+	}
+
+	consume(key, policy) {
+		return this.call(key, 'consume', policy);
+	}
+
+	peek(key, policy) {
+		return this.call(key, 'peek', policy);
+	}
+
+	refund(key, policy) {
+		return this.call(key, 'refund', policy);
+	}
+
+	async call(key, action, policy) {
+		const stub = this.namespace.get(this.namespace.idFromName(key));
+		const response = await stub.fetch(`https://rate-limiter/${action}`, {
+			method: 'POST',
+			body: JSON.stringify(policy),
+		});
+
+		if (!response.ok) {
+			throw new Error(`Rate limiter object responded with ${response.status}`);
+		}
+
+		return response.json();
+	}
+}
+
+// Durable Object binding wins when present; KV stays as the fallback backend
+function createRateLimitStore(env) {
+	if (env.RATE_LIMITER_DO) return new DurableObjectCounterStore(env.RATE_LIMITER_DO);
+	if (env.TEST_LIMITER) return new KVCounterStore(env.TEST_LIMITER);
+	return null;
+}
+
+// Durable Object backing RATE_LIMITER_DO. State lives in memory and is only
+// touched synchronously, so concurrent requests to one key cannot interleave.
+export class RateLimitCounter {
+	constructor(state) {
+		this.state = state;
+		this.current = null;
+		state.blockConcurrencyWhile(async () => {
+			this.current = (await state.storage.get('state')) ?? null;
+		});
+	}
+
+	async fetch(request) {
+		const policy = await request.json();
+		const algorithm = RATE_LIMIT_ALGORITHMS[policy.algorithm];
+		const now = Date.now();
+
+		if (new URL(request.url).pathname === '/refund') {
+			if (this.current !== null) {
+				this.current = algorithm.refund(this.current, now, policy);
+				this.state.storage.put('state', this.current);
+			}
+			return Response.json({ refunded: true });
+		}
+
+		const { state, ...result } = algorithm.apply(this.current, now, policy);
+
+		if (result.allowed && new URL(request.url).pathname !== '/peek') {
+			this.current = state;
+			this.state.storage.put('state', state);
+			// Wipe the object once it has been idle long enough to be back at a full quota
+			this.state.storage.setAlarm(now + algorithm.ttl(policy) * 1000);
+		}
+
+		return Response.json(result);
+	}
+
+	async alarm() {
+		this.current = null;
+		await this.state.storage.deleteAll();
+	}
+}
+
+// National significant number lengths per region (digits after the calling code, without the trunk prefix).
+// `mobile` marks the default region's own numbers typed without their trunk prefix, before other
+// calling codes are tried, so `812…` stays Indonesian instead of turning Japanese (+81).
+const PHONE_REGIONS = Object.freeze({
+	ID: { callingCode: '62', trunkPrefix: '0', lengths: [8, 12], mobile: /^8[1-9]\d{7,10}$/ },
+	MY: { callingCode: '60', trunkPrefix: '0', lengths: [8, 10], mobile: /^1\d{8,9}$/ },
+	SG: { callingCode: '65', trunkPrefix: null, lengths: [8, 8], mobile: /^[89]\d{7}$/ },
+	BN: { callingCode: '673', trunkPrefix: null, lengths: [7, 7] },
+	TH: { callingCode: '66', trunkPrefix: '0', lengths: [8, 9] },
+	PH: { callingCode: '63', trunkPrefix: '0', lengths: [8, 10] },
+	VN: { callingCode: '84', trunkPrefix: '0', lengths: [9, 10] },
+	TL: { callingCode: '670', trunkPrefix: null, lengths: [7, 8] },
+	AU: { callingCode: '61', trunkPrefix: '0', lengths: [9, 9] },
+	HK: { callingCode: '852', trunkPrefix: null, lengths: [8, 8] },
+	TW: { callingCode: '886', trunkPrefix: '0', lengths: [8, 9] },
+	CN: { callingCode: '86', trunkPrefix: '0', lengths: [10, 11] },
+	JP: { callingCode: '81', trunkPrefix: '0', lengths: [9, 10] },
+	KR: { callingCode: '82', trunkPrefix: '0', lengths: [8, 10] },
+	IN: { callingCode: '91', trunkPrefix: '0', lengths: [10, 10] },
+	SA: { callingCode: '966', trunkPrefix: '0', lengths: [8, 9] },
+	AE: { callingCode: '971', trunkPrefix: '0', lengths: [8, 9] },
+	GB: { callingCode: '44', trunkPrefix: '0', lengths: [9, 10] },
+	NL: { callingCode: '31', trunkPrefix: '0', lengths: [9, 9] },
+	DE: { callingCode: '49', trunkPrefix: '0', lengths: [6, 13] },
+	US: { callingCode: '1', trunkPrefix: null, lengths: [10, 10] },
+});
+
+const REGION_BY_CALLING_CODE = new Map(Object.entries(PHONE_REGIONS).map(([region, meta]) => [meta.callingCode, region]));
+
+function resolveDefaultRegion(env) {
+	const region = String(env?.DEFAULT_REGION || CONFIG.PHONE.DEFAULT_REGION).toUpperCase();
+	return PHONE_REGIONS[region] ? region : CONFIG.PHONE.DEFAULT_REGION;
+}
+
+// Calling codes are prefix-free, so at most one of the 1-3 digit prefixes is a known code
+function splitCallingCode(digits) {
+	for (let length = 1; length <= 3; length++) {
+		const region = REGION_BY_CALLING_CODE.get(digits.slice(0, length));
+		if (region) return { region, nationalNumber: digits.slice(length) };
+	}
+	return null;
+}
+
+// Tolerates a trunk prefix written after the calling code (`+62 0812…`)
+function validateNationalNumber(region, nationalNumber) {
+	const { callingCode, trunkPrefix, lengths } = PHONE_REGIONS[region];
+	const number = trunkPrefix && nationalNumber.startsWith(trunkPrefix) ? nationalNumber.slice(trunkPrefix.length) : nationalNumber;
+
+	if (number.length < lengths[0]) return { valid: false, reason: 'invalid_format', detail: 'too_short', region };
+	if (number.length > lengths[1]) return { valid: false, reason: 'invalid_format', detail: 'too_long', region };
+	return { valid: true, e164: `+${callingCode}${number}`, region, nationalNumber: number };
+}
+
+// Parses what people type (`0812-3456-7890`, `+60 12-345 6789`, `0065 8123 4567`, `60123456789`) into E.164.
+// Calling codes missing from PHONE_REGIONS are accepted with an explicit `+`/`00` if the total length is plausible.
+function parsePhoneNumber(input, defaultRegion = CONFIG.PHONE.DEFAULT_REGION) {
+	const raw = typeof input === 'number' ? String(input) : typeof input === 'string' ? input.trim() : '';
+	if (!raw) return { valid: false, reason: 'invalid_format', detail: 'empty' };
+	if (!/^\+?[\d\s().\-/]+$/.test(raw)) return { valid: false, reason: 'invalid_format', detail: 'invalid_characters' };
+
+	const digits = raw.replace(/\D/g, '');
+	const { E164_MIN_DIGITS, E164_MAX_DIGITS } = CONFIG.PHONE;
+
+	// International: `+` or the `00` international prefix
+	if (raw.startsWith('+') || digits.startsWith('00')) {
+		const international = raw.startsWith('+') ? digits : digits.slice(2);
+		const split = splitCallingCode(international);
+		if (split) return validateNationalNumber(split.region, split.nationalNumber);
+		if (international.length < E164_MIN_DIGITS || international.length > E164_MAX_DIGITS) {
+			return { valid: false, reason: 'invalid_format', detail: 'invalid_length' };
+		}
+		return { valid: true, e164: `+${international}`, region: null, nationalNumber: null };
+	}
+
+	const home = PHONE_REGIONS[defaultRegion];
+
+	// National format with the default region's trunk prefix
+	if (home.trunkPrefix && digits.startsWith(home.trunkPrefix)) {
+		return validateNationalNumber(defaultRegion, digits.slice(home.trunkPrefix.length));
+	}
+
+	// Calling code typed without the `+`: the default region first, then its own numbers missing the
+	// trunk prefix, then any other known calling code
+	if (digits.startsWith(home.callingCode)) {
+		const result = validateNationalNumber(defaultRegion, digits.slice(home.callingCode.length));
+		if (result.valid) return result;
+	}
+	if (home.mobile?.test(digits)) return validateNationalNumber(defaultRegion, digits);
+
+	const split = splitCallingCode(digits);
+	if (split && split.region !== defaultRegion) {
+		const result = validateNationalNumber(split.region, split.nationalNumber);
+		if (result.valid) return result;
+	}
+
+	return validateNationalNumber(defaultRegion, digits);
+}
+
+// Indonesian mobile prefixes, as the first three digits of the national number (0811 -> 811).
+// Axis numbers are listed under XL, which operates the brand.
+const ID_CARRIER_PREFIXES = Object.freeze({
+	Telkomsel: ['811', '812', '813', '821', '822', '823', '851', '852', '853'],
+	Indosat: ['814', '815', '816', '855', '856', '857', '858'],
+	XL: ['817', '818', '819', '859', '877', '878', '831', '832', '833', '838'],
+	Tri: ['895', '896', '897', '898', '899'],
+	Smartfren: ['881', '882', '883', '884', '885', '886', '887', '888', '889'],
+});
+
+const CARRIER_BY_PREFIX = new Map(
+	Object.entries(ID_CARRIER_PREFIXES).flatMap(([carrier, prefixes]) => prefixes.map((prefix) => [prefix, carrier])),
+);
+
+// Computed locally from the prefix; only Indonesian numbers are classified
+function classifyPhoneNumber(parsed) {
+	if (parsed.region !== 'ID') return { lineType: 'unknown', carrier: null };
+
+	const number = parsed.nationalNumber;
+	// 0800 toll-free and 0809 premium-rate
+	if (number.startsWith('80')) return { lineType: 'toll_free', carrier: null };
+	if (number.startsWith('8')) return { lineType: 'mobile', carrier: CARRIER_BY_PREFIX.get(number.slice(0, 3)) || null };
+	// Everything else starts with an area code (021 Jakarta, 022 Bandung, 031 Surabaya, ...)
+	return { lineType: 'landline', carrier: null };
+}
+
+// Landlines and toll-free numbers are answered locally instead of spending a provider call
+function nonMobileResult(parsed, classification) {
+	if (!CONFIG.PHONE.REJECT_NON_MOBILE || !['landline', 'toll_free'].includes(classification.lineType)) return null;
+	return {
+		registered: false,
+		number: parsed.e164,
+		provider: null,
+		checkedAt: new Date().toISOString(),
+		...classification,
+		reason: 'not_mobile',
+	};
+}
+
+// E.164 string, or null when the input can't be a phone number
+function formatPhoneNumber(number, defaultRegion) {
+	const parsed = parsePhoneNumber(number, defaultRegion);
+	return parsed.valid ? parsed.e164 : null;
+}
+
+// Streamlined request body parsing
+async function parseRequestBody(request, log = logger) {
+	try {
+		const contentType = request.headers.get('content-type') || '';
+
+		if (!contentType.includes('application/json')) {
+			return {
+				success: false,
+				error: {
+					status: false,
+					message: 'Content-Type must be application/json',
+					received: contentType,
+				},
+			};
+		}
+
+		const text = await request.text();
+		if (!text) {
+			return {
+				success: false,
+				error: {
+					status: false,
+					message: 'Empty request body',
+				},
+			};
+		}
+
+		const body = JSON.parse(text);
+		log.debug('Request body parsed', { fields: Object.keys(body) });
+
+		return { success: true, data: body };
+	} catch (error) {
+		log.warn('JSON parse error', { error: error.message });
+		return {
+			success: false,
+			error: {
+				status: false,
+				message: 'Invalid JSON in request body',
+				error: error.message,
+			},
+		};
+	}
+}
+
+// Shared upstream fetch with timeout, status and HTML-response checks
+async function fetchJSON(url, init, timeoutMs = 8000) {
+	const controller = new AbortController();
+	const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+	try {
+		const response = await fetch(url, {
+			...init,
+			headers: {
+				Accept: 'application/json',
+				'User-Agent': 'CloudflareWorker/2.0',
+				...init.headers,
+			},
+			signal: controller.signal,
+		});
+
+		clearTimeout(timeoutId);
+
+		if (!response.ok) {
+			throw new Error(`API responded with ${response.status}: ${response.statusText}`);
+		}
+
+		const responseText = await response.text();
+
+		// Handle non-JSON responses
+		if (responseText.includes('<html') || responseText.includes('<!DOCTYPE')) {
+			throw new Error('Received HTML instead of JSON');
+		}
+
+		return {
+			success: true,
+			data: JSON.parse(responseText),
+			status: response.status,
+		};
+	} catch (error) {
+		clearTimeout(timeoutId);
+
+		if (error.name === 'AbortError') {
+			throw new Error(`API timeout after ${timeoutMs / 1000} seconds`);
+		}
+
+		throw error;
+	}
+}
+
+// Optimized API call with AbortController
+async function callStarsenderAPI(phoneNumber, apiKey) {
+	const apiResult = await fetchJSON('https://api.starsender.online/api/check-number', {
+		method: 'POST',
+		headers: {
+			Authorization: apiKey,
+			'Content-Type': 'application/json',
+		},
+		body: JSON.stringify({ number: phoneNumber }),
+	});
+	logger.debug('Starsender response received', { fields: Object.keys(apiResult.data || {}) });
+
+	// Device or quota problems come back as 200 with `success: false`; they must not read as "not registered"
+	if (apiResult.data?.success === 'false' || apiResult.data?.success === false) {
+		throw new Error(`API error: ${apiResult.data.message || 'unknown error'}`);
+	}
+
+	return apiResult;
+}
+
+// Generic JSON-over-HTTP provider, shaped entirely by WA_HTTP_PROVIDER_* bindings
+async function callHttpProviderAPI(phoneNumber, env) {
+	const headers = { 'Content-Type': 'application/json' };
+	if (env.WA_HTTP_PROVIDER_API_KEY) {
+		headers[env.WA_HTTP_PROVIDER_AUTH_HEADER || 'Authorization'] = env.WA_HTTP_PROVIDER_API_KEY;
+	}
+
+	return fetchJSON(env.WA_HTTP_PROVIDER_URL, {
+		method: 'POST',
+		headers,
+		body: JSON.stringify({ [env.WA_HTTP_PROVIDER_NUMBER_FIELD || 'number']: phoneNumber }),
+	});
+}
+
+// QuickEmailVerification lookup
+async function callQuickEmailVerificationAPI(email, apiKey) {
+	const apiUrl = `https://api.quickemailverification.com/v1/verify?email=${encodeURIComponent(email)}&apikey=${encodeURIComponent(apiKey)}`;
+	const apiResult = await fetchJSON(apiUrl, { method: 'GET' });
+
+	// QuickEmailVerification reports quota and key problems in the body
+	if (apiResult.data.success === 'false' || apiResult.data.success === false) {
+		throw new Error(`API error: ${apiResult.data.message || 'unknown error'}`);
+	}
+
+	return apiResult;
+}
+
+// Throwaway-inbox domains answered locally; subdomains (foo.mailinator.com) match their parent
+const DISPOSABLE_DOMAINS = new Set([
+	'10minutemail.com',
+	'10minutemail.net',
+	'20minutemail.com',
+	'33mail.com',
+	'dispostable.com',
+	'dropmail.me',
+	'emailondeck.com',
+	'fakeinbox.com',
+	'getairmail.com',
+	'getnada.com',
+	'guerrillamail.biz',
+	'guerrillamail.com',
+	'guerrillamail.de',
+	'guerrillamail.info',
+	'guerrillamail.net',
+	'guerrillamail.org',
+	'guerrillamailblock.com',
+	'harakirimail.com',
+	'inboxkitten.com',
+	'mailcatch.com',
+	'maildrop.cc',
+	'mailinator.com',
+	'mailinator.net',
+	'mailnesia.com',
+	'mailsac.com',
+	'mintemail.com',
+	'mohmal.com',
+	'mytemp.email',
+	'nada.email',
+	'sharklasers.com',
+	'spam4.me',
+	'spambox.us',
+	'spamgourmet.com',
+	'temp-mail.io',
+	'temp-mail.org',
+	'tempail.com',
+	'tempmail.com',
+	'tempmail.net',
+	'tempmailo.com',
+	'tempr.email',
+	'throwawaymail.com',
+	'trashmail.com',
+	'trashmail.de',
+	'trashmail.net',
+	'yopmail.com',
+	'yopmail.fr',
+	'yopmail.net',
+]);
+
+const isDisposableDomain = (domain) =>
+	domain.split('.').some((_, i, labels) => i < labels.length - 1 && DISPOSABLE_DOMAINS.has(labels.slice(i).join('.')));
+
+// Mailboxes that belong to a function rather than a person
+const ROLE_LOCAL_PARTS = new Set([
+	'abuse',
+	'admin',
+	'administrator',
+	'billing',
+	'contact',
+	'cs',
+	'customerservice',
+	'finance',
+	'hello',
+	'help',
+	'hr',
+	'info',
+	'marketing',
+	'no-reply',
+	'noreply',
+	'office',
+	'postmaster',
+	'sales',
+	'support',
+	'team',
+	'webmaster',
+]);
+
+// Free webmail providers, for forms that want a company address
+const FREE_EMAIL_DOMAINS = new Set([
+	'aol.com',
+	'gmail.com',
+	'gmx.com',
+	'googlemail.com',
+	'hotmail.com',
+	'icloud.com',
+	'live.com',
+	'mac.com',
+	'mail.com',
+	'me.com',
+	'msn.com',
+	'outlook.com',
+	'proton.me',
+	'protonmail.com',
+	'rocketmail.com',
+	'yahoo.co.id',
+	'yahoo.com',
+	'yandex.com',
+	'ymail.com',
+	'zoho.com',
+]);
+
+// QuickEmailVerification sends its booleans as "true"/"false" strings
+const isProviderFlag = (value) => value === true || value === 'true';
+
+// Role and free-provider flags are known from the address alone; accept-all needs the provider's SMTP probe
+function classifyEmailAddress(email) {
+	const at = email.lastIndexOf('@');
+	const local = email.slice(0, at).toLowerCase().split('+')[0];
+	const domain = email.slice(at + 1).toLowerCase();
+	return { role: ROLE_LOCAL_PARTS.has(local), free: FREE_EMAIL_DOMAINS.has(domain) };
+}
+
+// Dot-atom local part and hostname domain (RFC 5322 / 5321 limits); quoted local parts and IP literals
+// are valid on paper but only show up in abuse, so they are rejected too
+const EMAIL_LOCAL_PATTERN = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/;
+const EMAIL_LABEL_PATTERN = /^(?!-)[A-Za-z0-9-]{1,63}(?<!-)$/;
+
+// null when the address is well-formed, otherwise what is wrong with it
+function checkEmailSyntax(email) {
+	if (email.length > 254) return 'too_long';
+
+	const at = email.lastIndexOf('@');
+	if (at < 1 || at === email.length - 1) return 'missing_at';
+
+	const local = email.slice(0, at);
+	const domain = email.slice(at + 1);
+	if (local.length > 64 || !EMAIL_LOCAL_PATTERN.test(local)) return 'invalid_local_part';
+
+	const labels = domain.split('.');
+	if (labels.length < 2 || !labels.every((label) => EMAIL_LABEL_PATTERN.test(label))) return 'invalid_domain';
+	if (!/^([A-Za-z]{2,63}|xn--[A-Za-z0-9-]+)$/.test(labels[labels.length - 1])) return 'invalid_domain';
+
+	return null;
+}
+
+// DNS-over-HTTPS JSON resolver. `fetcher` is anything with a fetch() - a DNS_RESOLVER service binding, or
+// a local stand-in in tests - and defaults to the global fetch.
+class DohResolver {
+	constructor(endpoint, fetcher) {
+		this.endpoint = endpoint;
+		this.fetcher = fetcher || { fetch: (...args) => fetch(...args) };
+	}
+
+	async query(name, type) {
+		const controller = new AbortController();
+		const timeoutId = setTimeout(() => controller.abort(), CONFIG.EMAIL.DNS_TIMEOUT_MS);
+		try {
+			const url = `${this.endpoint}?name=${encodeURIComponent(name)}&type=${type}`;
+			const response = await this.fetcher.fetch(url, { headers: { Accept: 'application/dns-json' }, signal: controller.signal });
+			if (!response.ok) throw new Error(`DNS resolver responded with ${response.status}`);
+			return await response.json();
+		} finally {
+			clearTimeout(timeoutId);
+		}
+	}
+
+	// 'ok' when the domain can receive mail, 'nxdomain' or 'no_mail' when it definitely can't.
+	// Resolver failures (SERVFAIL, timeouts) throw so the caller can fall back to the paid check.
+	async resolveMx(domain) {
+		const mx = await this.query(domain, 'MX');
+		if (mx.Status === 3) return { status: 'nxdomain', hosts: [] };
+		if (mx.Status !== 0) throw new Error(`DNS lookup failed with status ${mx.Status}`);
+
+		const hosts = (mx.Answer || [])
+			.filter((record) => record.type === 15)
+			.map((record) => String(record.data).split(/\s+/)[1])
+			.filter(Boolean);
+		// A lone "0 ." record is the RFC 7505 null MX: the domain explicitly accepts no mail
+		if (hosts.length > 0) return { status: hosts.every((host) => host === '.') ? 'no_mail' : 'ok', hosts };
+
+		// No MX at all: mail falls back to the domain's address record (RFC 5321 implicit MX)
+		const [a, aaaa] = await Promise.all([this.query(domain, 'A'), this.query(domain, 'AAAA')]);
+		const hasAddress = [a, aaaa].some(
+			(answer) => answer.Status === 0 && (answer.Answer || []).some((record) => [1, 28].includes(record.type)),
+		);
+		return { status: hasAddress ? 'ok' : 'no_mail', hosts: [] };
+	}
+}
+
+function createDnsResolver(env) {
+	return new DohResolver(env.DOH_RESOLVER_URL || CONFIG.EMAIL.DOH_URL, env.DNS_RESOLVER);
+}
+
+// Free checks that run before QuickEmailVerification. Returns a final result for clear failures,
+// or null when only the paid check can tell.
+async function runLocalEmailChecks(email, env, context) {
+	const { ctx, log } = context;
+	const syntaxError = checkEmailSyntax(email);
+	const flags = syntaxError ? { role: false, free: false } : classifyEmailAddress(email);
+	const invalid = (reason, detail, disposable = false) => ({
+		email,
+		result: 'invalid',
+		reason,
+		detail,
+		did_you_mean: '',
+		disposable,
+		...flags,
+		accept_all: false,
+	});
+
+	if (syntaxError) return invalid('invalid_email', syntaxError);
+
+	const domain = email.slice(email.lastIndexOf('@') + 1).toLowerCase();
+	if (isDisposableDomain(domain)) return invalid('disposable', 'disposable_domain', true);
+
+	if (!CONFIG.EMAIL.MX_CHECK) return null;
+
+	try {
+		let mx = await readCachedResult(env.TEST_LIMITER, 'mx', domain);
+		if (!mx) {
+			mx = await createDnsResolver(env).resolveMx(domain);
+			ctx.waitUntil(writeCachedResult(env.TEST_LIMITER, 'mx', domain, mx, mx.status === 'ok'));
+		}
+		if (mx.status !== 'ok') return invalid('invalid_domain', mx.status);
+	} catch (error) {
+		log.warn('MX lookup failed, deferring to email provider', { domain, error: error.message });
+	}
+
+	return null;
+}
+
+// Reads a dotted path such as `data.status` out of a provider payload
+const readPath = (source, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+
+// WhatsApp provider adapters - `check` resolves to whether the number is registered
+const WHATSAPP_PROVIDERS = Object.freeze({
+	starsender: {
+		isConfigured: (env) => !!env.STARSENDER_DEVICE_KEY,
+		async check(phoneNumber, env) {
+			const { data } = await callStarsenderAPI(phoneNumber, env.STARSENDER_DEVICE_KEY);
+			return data?.data && typeof data.data === 'object' ? data.data.status === true : data?.status === true;
+		},
+	},
+	http: {
+		isConfigured: (env) => !!env.WA_HTTP_PROVIDER_URL,
+		async check(phoneNumber, env) {
+			const { data } = await callHttpProviderAPI(phoneNumber, env);
+			const value = readPath(data, env.WA_HTTP_PROVIDER_RESULT_PATH || 'registered');
+			return value === true || value === 'true';
+		},
+	},
+});
+
+// Active provider first, then WA_PROVIDER_FALLBACK in order, skipping unknown or unconfigured ones
+function resolveProviderChain(env) {
+	const names = [env.WA_PROVIDER || 'starsender', ...(env.WA_PROVIDER_FALLBACK || '').split(',')]
+		.map((name) => name.trim().toLowerCase())
+		.filter(Boolean);
+
+	return [...new Set(names)].filter((name) => WHATSAPP_PROVIDERS[name]?.isConfigured(env));
+}
+
+// Canonical result shape every adapter is normalized into
+const normalizeProviderResult = (provider, phoneNumber, registered) => ({
+	registered: registered === true,
+	number: phoneNumber,
+	provider,
+	checkedAt: new Date().toISOString(),
+});
+
+// Per-provider circuit breaker, state kept in KV so every isolate sees it
+async function getBreakerState(store, provider) {
+	if (!store) return { failures: 0, openedUntil: 0 };
+	try {
+		const state = await store.get(`breaker_${provider}`, 'json');
+		return state || { failures: 0, openedUntil: 0 };
+	} catch (error) {
+		logger.error('Error reading breaker state', { provider, error });
+		return { failures: 0, openedUntil: 0 };
+	}
+}
+
+// closed -> open after FAILURE_THRESHOLD errors; half_open once OPEN_SECONDS pass, until a request
+// claims the trial with claimBreakerTrial
+function breakerStatus(state, now = Date.now()) {
+	if (state.failures < CONFIG.CIRCUIT_BREAKER.FAILURE_THRESHOLD) return 'closed';
+	return now < state.openedUntil ? 'open' : 'half_open';
+}
+
+async function recordProviderResult(store, provider, state, succeeded) {
+	if (!store) return;
+	// Nothing to write while a healthy provider keeps succeeding
+	if (succeeded && state.failures === 0) return;
+
+	const failures = succeeded ? 0 : state.failures + 1;
+	const openedUntil = failures >= CONFIG.CIRCUIT_BREAKER.FAILURE_THRESHOLD ? Date.now() + CONFIG.CIRCUIT_BREAKER.OPEN_SECONDS * 1000 : 0;
+
+	if (openedUntil && breakerStatus(state) !== 'open') {
+		logger.warn('Circuit opened', { provider, failures });
+	}
+
+	try {
+		await store.put(`breaker_${provider}`, JSON.stringify({ failures, openedUntil, updatedAt: new Date().toISOString() }), {
+			expirationTtl: CONFIG.CIRCUIT_BREAKER.STATE_TTL,
+		});
+	} catch (error) {
+		logger.error('Error writing breaker state', { provider, error });
+	}
+}
+
+// Pushes openedUntil forward so other requests keep skipping the provider while this one is the trial.
+// KV has no compare-and-set, so requests reading the state in the same instant can still all go through.
+async function claimBreakerTrial(store, provider, state) {
+	if (!store) return;
+	try {
+		const openedUntil = Date.now() + CONFIG.CIRCUIT_BREAKER.TRIAL_SECONDS * 1000;
+		await store.put(`breaker_${provider}`, JSON.stringify({ ...state, openedUntil, updatedAt: new Date().toISOString() }), {
+			expirationTtl: CONFIG.CIRCUIT_BREAKER.STATE_TTL,
+		});
+	} catch (error) {
+		logger.error('Error claiming breaker trial', { provider, error });
+	}
+}
+
+async function getBreakerSnapshot(env) {
+	const providers = resolveProviderChain(env);
+	const states = await Promise.all(providers.map((provider) => getBreakerState(env.TEST_LIMITER, provider)));
+
+	return providers.map((provider, i) => ({
+		provider,
+		state: breakerStatus(states[i]),
+		failures: states[i].failures,
+		openedUntil: states[i].openedUntil ? new Date(states[i].openedUntil).toISOString() : null,
+	}));
+}
+
+// Walks the provider chain, skipping open circuits and failing over on errors
+async function checkWhatsAppNumber(phoneNumber, providers, env, ctx, log = logger) {
+	let lastError = null;
+
+	for (const provider of providers) {
+		const breaker = await getBreakerState(env.TEST_LIMITER, provider);
+		const status = breakerStatus(breaker);
+		if (status === 'open') {
+			log.warn('Skipping provider, circuit open', { provider });
+			continue;
+		}
+		if (status === 'half_open') {
+			log.info('Circuit half-open, sending trial request', { provider });
+			await claimBreakerTrial(env.TEST_LIMITER, provider, breaker);
+		}
+
+		const startedAt = Date.now();
+		try {
+			const registered = await WHATSAPP_PROVIDERS[provider].check(phoneNumber, env);
+			await recordProviderResult(env.TEST_LIMITER, provider, breaker, true);
+			return normalizeProviderResult(provider, phoneNumber, registered);
+		} catch (error) {
+			log.error('Provider failed', { provider, error: error.message });
+			await recordProviderResult(env.TEST_LIMITER, provider, breaker, false);
+			lastError = error;
+		} finally {
+			ctx.waitUntil(recordProviderLatency(env.TEST_LIMITER, provider, Date.now() - startedAt));
+		}
+	}
+
+	throw lastError || new Error('API unavailable: all provider circuits open');
+}
+
+// Shared result cache - keys are hashed so raw numbers and emails never appear in KV key listings.
+// CACHE.KEY_VERSION is part of every key; bump it when a cached result's shape changes.
+async function hashKey(value) {
+	const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+	return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function readCachedResult(store, kind, subject) {
+	if (!store) return null;
+	try {
+		return await store.get(`cache_${CONFIG.CACHE.KEY_VERSION}_${kind}_${await hashKey(subject)}`, 'json');
+	} catch (error) {
+		logger.error('Error reading result cache', { error });
+		return null;
+	}
+}
+
+async function writeCachedResult(store, kind, subject, result, isPositive) {
+	if (!store) return;
+	try {
+		await store.put(`cache_${CONFIG.CACHE.KEY_VERSION}_${kind}_${await hashKey(subject)}`, JSON.stringify(result), {
+			expirationTtl: isPositive ? CONFIG.CACHE.POSITIVE_TTL : CONFIG.CACHE.NEGATIVE_TTL,
+		});
+	} catch (error) {
+		logger.error('Error writing result cache', { error });
+	}
+}
+
+// Shared mapping of upstream failures to client-facing status codes
+function mapUpstreamError(error, serviceName) {
+	if (error.message.includes('timeout')) {
+		return { errorMessage: `${serviceName} API request timed out`, errorStatus: 504 };
+	}
+	if (error.message.includes('fetch') || error.message.includes('API')) {
+		return { errorMessage: `Failed to connect to ${serviceName} API`, errorStatus: 502 };
+	}
+	if (error.message.includes('HTML')) {
+		return { errorMessage: `${serviceName} API service error`, errorStatus: 502 };
+	}
+	return { errorMessage: 'Internal server error', errorStatus: 500 };
+}
+
+async function processValidation(request, env, context, legacyShape = false) {
+	const { origin, log } = context;
+
+	try {
+		// Direct API callers without a widget-issued token stop here
+		const tokenRejection = await requireClientToken(request, env, context);
+		if (tokenRejection) {
+			return tokenRejection;
+		}
+
+		// Parse and validate request body
+		const bodyResult = await parseRequestBody(request, log);
+		if (!bodyResult.success) {
+			return ResponseBuilder.json(bodyResult.error, 400, origin);
+		}
+
+		const { data: body } = bodyResult;
+
+		// Validate phone number
+		if (!body.number) {
+			return ResponseBuilder.json(
+				{
+					status: false,
+					message: 'Phone number is required',
+					received: body,
+				},
+				400,
+				origin,
+			);
+		}
+
+		// Impossible numbers are rejected here, before they cost a provider call
+		const parsed = parsePhoneNumber(body.number, resolveDefaultRegion(env));
+		if (!parsed.valid) {
+			return ResponseBuilder.json(
+				{
+					status: false,
+					message: 'Invalid phone number format',
+					reason: parsed.reason,
+					detail: parsed.detail,
+				},
+				400,
+				origin,
+			);
+		}
+		const phoneNumber = parsed.e164;
+		const classification = classifyPhoneNumber(parsed);
+
+		log.debug('Phone number formatted', { number: phoneNumber, ...classification });
+
+		const rejected = nonMobileResult(parsed, classification);
+		if (rejected) {
+			log.info('Non-mobile number answered without provider call', { number: phoneNumber, lineType: rejected.lineType });
+			notifyValidation(env, context, { type: 'whatsapp', number: phoneNumber, result: rejected, cached: false });
+			const receipt = await whatsappReceipt(env, rejected, origin);
+			return ResponseBuilder.json(legacyShape ? { ...rejected, receipt, status: false } : { ...rejected, receipt }, 200, origin);
+		}
+
+		// Check if at least one provider is configured
+		const providers = resolveProviderChain(env);
+		if (providers.length === 0) {
+			log.error('No WhatsApp provider configured');
+			return ResponseBuilder.json(
+				{
+					status: false,
+					message: 'Server misconfiguration: API key missing',
+				},
+				500,
+				origin,
+			);
+		}
+
+		const lookup = await lookupWhatsAppNumber(phoneNumber, providers, env, context);
+		const result = { ...lookup.result, ...classification };
+		const { cached } = lookup;
+		notifyValidation(env, context, { type: 'whatsapp', number: phoneNumber, result, cached });
+
+		// Legacy snippets read `status`, so the root alias mirrors `registered` there
+		const receipt = await whatsappReceipt(env, result, origin);
+		return ResponseBuilder.json(legacyShape ? { ...result, receipt, status: result.registered } : { ...result, receipt }, 200, origin, {
+			'X-Cache': cached ? 'HIT' : 'MISS',
+		});
+	} catch (error) {
+		log.error('Validation error', { error });
+
+		const { errorMessage, errorStatus } = mapUpstreamError(error, 'WhatsApp');
+
+		return ResponseBuilder.json(
+			{
+				status: false,
+				message: errorMessage,
+				error: error.message,
+			},
+			errorStatus,
+			origin,
+		);
+	}
+}
+
+// Serve from the shared cache before spending a provider call
+async function lookupWhatsAppNumber(phoneNumber, providers, env, context) {
+	const { ctx, log } = context;
+	const cached = await readCachedResult(env.TEST_LIMITER, 'wa', phoneNumber);
+	ctx.waitUntil(trackCacheResult(env.TEST_LIMITER, 'wa', !!cached));
+
+	if (cached) {
+		log.info('WhatsApp check served from cache', { number: phoneNumber, registered: cached.registered });
+		return { result: cached, cached: true };
+	}
+
+	const result = await checkWhatsAppNumber(phoneNumber, providers, env, ctx, log);
+	log.info('WhatsApp check completed', { number: phoneNumber, provider: result.provider, registered: result.registered });
+	ctx.waitUntil(writeCachedResult(env.TEST_LIMITER, 'wa', phoneNumber, result, result.registered));
+	return { result, cached: false };
+}
+
+// Webhooks: after a validation completes, WEBHOOK_URL gets a signed POST from waitUntil, so the response
+// never waits on it. Failures retry with exponential backoff; undeliverable payloads land in KV as
+// `webhook_dead_*` records for DEAD_LETTER_TTL, masked like log records and with a hash of the exact
+// body that was signed, so no raw number or address is kept.
+// The signature header is `t=<unix seconds>,v1=<HMAC-SHA256 of "t.body">`.
+function notifyValidation(env, context, event) {
+	if (!env.WEBHOOK_URL || !env.WEBHOOK_SECRET) return;
+
+	const payload = {
+		id: crypto.randomUUID(),
+		event: 'validation.completed',
+		...event,
+		origin: context.origin,
+		timestamp: new Date().toISOString(),
+	};
+	context.ctx.waitUntil(deliverWebhook(env, payload, context.log));
+}
+
+async function deliverWebhook(env, payload, log = logger) {
+	const { MAX_ATTEMPTS, BACKOFF_MS, TIMEOUT_MS, SIGNATURE_HEADER, DEAD_LETTER_TTL } = CONFIG.WEBHOOKS;
+	const body = JSON.stringify(payload);
+	let lastError = null;
+	let attempt = 0;
+
+	while (attempt < MAX_ATTEMPTS) {
+		attempt++;
+		const timestamp = Math.floor(Date.now() / 1000);
+		const signature = await hmacSign(env.WEBHOOK_SECRET, `${timestamp}.${body}`);
+
+		try {
+			const response = await fetch(env.WEBHOOK_URL, {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+					'X-Webhook-Id': payload.id,
+					[SIGNATURE_HEADER]: `t=${timestamp},v1=${signature}`,
+				},
+				body,
+				signal: AbortSignal.timeout(TIMEOUT_MS),
+			});
+
+			if (response.ok) {
+				log.debug('Webhook delivered', { webhookId: payload.id, attempt });
+				return;
+			}
+
+			lastError = `HTTP ${response.status}`;
+			// Other 4xx answers will not change on retry
+			if (response.status < 500 && response.status !== 408 && response.status !== 429) break;
+		} catch (error) {
+			lastError = error.message;
+		}
+
+		if (attempt < MAX_ATTEMPTS) {
+			await new Promise((resolve) => setTimeout(resolve, BACKOFF_MS * 2 ** (attempt - 1)));
+		}
+	}
+
+	log.warn('Webhook delivery failed', { webhookId: payload.id, attempts: attempt, error: lastError });
+	if (!env.TEST_LIMITER) return;
+
+	try {
+		await env.TEST_LIMITER.put(
+			`webhook_dead_${payload.timestamp}_${payload.id}`,
+			JSON.stringify({
+				payload: redact(payload),
+				bodyHash: await hashKey(body),
+				attempts: attempt,
+				lastError,
+				failedAt: new Date().toISOString(),
+			}),
+			{ expirationTtl: DEAD_LETTER_TTL },
+		);
+	} catch (error) {
+		log.error('Error writing webhook dead letter', { webhookId: payload.id, error });
+	}
+}
+
+// Runs `worker` over `items` with at most `limit` in flight, keeping results in input order
+async function mapWithConcurrency(items, limit, worker) {
+	const results = new Array(items.length);
+	let next = 0;
+	const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+		while (next < items.length) {
+			const index = next++;
+			results[index] = await worker(items[index], index);
+		}
+	});
+	await Promise.all(lanes);
+	return results;
+}
+
+// Every input gets its own entry; duplicates after formatting share one lookup
+async function processBatchValidation(request, env, context) {
+	const { origin, log } = context;
+
+	const tokenRejection = await requireClientToken(request, env, context);
+	if (tokenRejection) {
+		return tokenRejection;
+	}
+
+	const bodyResult = await parseRequestBody(request, log);
+	if (!bodyResult.success) {
+		return ResponseBuilder.json(bodyResult.error, 400, origin);
+	}
+
+	const { numbers } = bodyResult.data;
+	if (!Array.isArray(numbers) || numbers.length === 0) {
+		return ResponseBuilder.json(
+			{
+				status: false,
+				message: 'numbers must be a non-empty array',
+			},
+			400,
+			origin,
+		);
+	}
+
+	if (numbers.length > CONFIG.BATCH.MAX_NUMBERS) {
+		return ResponseBuilder.json(
+			{
+				status: false,
+				message: `At most ${CONFIG.BATCH.MAX_NUMBERS} numbers per batch`,
+				received: numbers.length,
+			},
+			400,
+			origin,
+		);
+	}
+
+	const providers = resolveProviderChain(env);
+	if (providers.length === 0) {
+		log.error('No WhatsApp provider configured');
+		return ResponseBuilder.json(
+			{
+				status: false,
+				message: 'Server misconfiguration: API key missing',
+			},
+			500,
+			origin,
+		);
+	}
+
+	const parsed = numbers.map((input) => parsePhoneNumber(input, resolveDefaultRegion(env)));
+	const formatted = parsed.map((result) => (result.valid ? result.e164 : null));
+	const unique = [...new Set(formatted.filter(Boolean))];
+	const parsedByNumber = new Map(parsed.filter((result) => result.valid).map((result) => [result.e164, result]));
+
+	const outcomes = await mapWithConcurrency(unique, CONFIG.BATCH.CONCURRENCY, async (phoneNumber) => {
+		const classification = classifyPhoneNumber(parsedByNumber.get(phoneNumber));
+		const rejected = nonMobileResult(parsedByNumber.get(phoneNumber), classification);
+		if (rejected) {
+			notifyValidation(env, context, { type: 'whatsapp', number: phoneNumber, result: rejected, cached: false, batch: true });
+			return { ...rejected, cached: false };
+		}
+
+		try {
+			const lookup = await lookupWhatsAppNumber(phoneNumber, providers, env, context);
+			const result = { ...lookup.result, ...classification };
+			notifyValidation(env, context, { type: 'whatsapp', number: phoneNumber, result, cached: lookup.cached, batch: true });
+			return { ...result, cached: lookup.cached };
+		} catch (error) {
+			log.error('Batch item failed', { number: phoneNumber, error: error.message });
+			return { number: phoneNumber, error: mapUpstreamError(error, 'WhatsApp').errorMessage };
+		}
+	});
+	const byNumber = new Map(unique.map((phoneNumber, i) => [phoneNumber, outcomes[i]]));
+
+	const results = numbers.map((input, i) =>
+		formatted[i]
+			? { input, ...byNumber.get(formatted[i]) }
+			: { input, number: null, error: 'Invalid phone number format', reason: parsed[i].reason, detail: parsed[i].detail },
+	);
+
+	return ResponseBuilder.json(
+		{
+			results,
+			summary: {
+				total: numbers.length,
+				unique: unique.length,
+				registered: results.filter((item) => item.registered === true).length,
+				unregistered: results.filter((item) => item.registered === false).length,
+				notMobile: results.filter((item) => item.reason === 'not_mobile').length,
+				failed: results.filter((item) => item.error).length,
+			},
+		},
+		200,
+		origin,
+	);
+}
+
+// Bulk CSV jobs: the upload's numbers are stored in CHUNK_SIZE slices, each processed by one queue message.
+// Chunks run one after another (each enqueues the next), so job metadata never has concurrent writers.
+class R2JobStore {
+	constructor(bucket) {
+		this.bucket = bucket;
+	}
+
+	async get(key) {
+		const object = await this.bucket.get(key);
+		return object ? object.text() : null;
+	}
+
+	async put(key, value) {
+		await this.bucket.put(key, value);
+	}
+}
+
+class KVJobStore {
+	constructor(kv) {
+		this.kv = kv;
+	}
+
+	get(key) {
+		return this.kv.get(key);
+	}
+
+	put(key, value) {
+		return this.kv.put(key, value, { expirationTtl: CONFIG.JOBS.RETENTION_SECONDS });
+	}
+}
+
+// Prefer R2 for uploads and results, fall back to the KV namespace
+function createJobStore(env) {
+	if (env.BULK_JOBS_BUCKET) return new R2JobStore(env.BULK_JOBS_BUCKET);
+	if (env.TEST_LIMITER) return new KVJobStore(env.TEST_LIMITER);
+	return null;
+}
+
+// Stand-in for the BULK_QUEUE binding: delivers a message straight to the consumer inside waitUntil.
+// waitUntil only outlives the response by a few seconds, so each request runs at most one chunk and
+// drops later sends; handleJobStatus sends the next chunk when the job is polled. Fine for tests and
+// local runs; production jobs need the real queue.
+const inMemoryDeliveries = new WeakSet();
+
+class InMemoryQueue {
+	constructor(env, ctx) {
+		this.env = env;
+		this.ctx = ctx;
+	}
+
+	async send(body) {
+		if (inMemoryDeliveries.has(this.ctx)) {
+			logger.debug('In-memory queue leaves the next chunk to the next status poll', { jobId: body.jobId, offset: body.offset });
+			return;
+		}
+		inMemoryDeliveries.add(this.ctx);
 
-	static preflight(origin = '*') {
-		return new Response(null, {
-			status: 204,
-			headers: {
-				...CORS_HEADERS,
-				'Access-Control-Allow-Origin': origin,
+		const message = {
+			id: crypto.randomUUID(),
+			body,
+			attempts: 1,
+			ack() {},
+			retry() {
+				logger.warn('In-memory queue cannot redeliver', { jobId: body.jobId });
 			},
-		});
+		};
+		this.ctx.waitUntil(handleQueueBatch({ queue: 'in-memory', messages: [message] }, this.env, this.ctx));
 	}
 }
 
-// Efficient IP detection
-const getClientIP = (request) =>
-	request.headers.get('CF-Connecting-IP') || request.headers.get('X-Forwarded-For')?.split(',')[0]?.trim() || 'unknown';
+const createJobQueue = (env, ctx) => env.BULK_QUEUE || new InMemoryQueue(env, ctx);
 
-async function handleRequest(request, env, ctx) {
-	const clientIP = getClientIP(request);
-	const origin = request.headers.get('Origin') || '*';
+const jobKey = (jobId, name) => `jobs/${jobId}/${name}`;
 
-	try {
-		// Early return for preflight
-		if (request.method === 'OPTIONS') {
-			return ResponseBuilder.preflight(origin);
-		}
+const chunkOffsets = (total) => Array.from({ length: Math.ceil(total / CONFIG.JOBS.CHUNK_SIZE) }, (_, i) => i * CONFIG.JOBS.CHUNK_SIZE);
 
-		// Early return for invalid methods
-		if (request.method !== 'POST') {
-			return ResponseBuilder.json(
-				{
-					status: false,
-					message: 'Method not allowed. Use POST.',
-					method: request.method,
-				},
-				405,
-				origin,
-			);
-		}
+// Waiting for its next chunk: nothing running, or the running chunk's lease has run out
+const isJobIdle = (job) =>
+	(job.status === 'queued' || job.status === 'processing') &&
+	(!job.chunkStartedAt || Date.now() - Date.parse(job.chunkStartedAt) > CONFIG.JOBS.CHUNK_LEASE_SECONDS * 1000);
 
-		// Check if IP is whitelisted
-		if (CONFIG.WHITELISTED_IPS.includes(clientIP)) {
-			console.log(`✅ Whitelisted IP: ${clientIP}`);
-			return await processValidation(request, env, origin);
-		}
+async function readJob(store, jobId) {
+	const meta = await store.get(jobKey(jobId, 'meta.json'));
+	return meta ? JSON.parse(meta) : null;
+}
 
-		// Check if KV namespace is available
-		if (!env.TEST_LIMITER) {
-			console.warn('⚠️ KV namespace TEST_LIMITER not bound, skipping rate limiting');
-			return await processValidation(request, env, origin);
-		}
+async function writeJob(store, job) {
+	await store.put(jobKey(job.id, 'meta.json'), JSON.stringify({ ...job, updatedAt: new Date().toISOString() }));
+}
 
-		// Check rate limits
-		const rateLimitCheck = await checkRateLimit(clientIP, env.TEST_LIMITER);
+// RFC 4180: quoted fields may contain commas, doubled quotes and newlines
+function parseCSV(text) {
+	const rows = [];
+	let row = [];
+	let field = '';
+	let quoted = false;
 
-		if (!rateLimitCheck.allowed) {
-			// Log rate limit violation if monitoring enabled
-			if (CONFIG.MONITORING.ENABLED && CONFIG.MONITORING.LOG_VIOLATIONS) {
-				ctx.waitUntil(logViolation(clientIP, rateLimitCheck.reason, env.TEST_LIMITER));
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		if (quoted) {
+			if (char === '"' && text[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				field += char;
 			}
-
-			// Return generic message (silently fail as requested)
-			return ResponseBuilder.json(
-				{
-					success: false,
-					data: {
-						status: false,
-						message: 'Service temporarily unavailable',
-					},
-					message: 'Please try again later',
-				},
-				200,
-				origin,
-			);
+		} else if (char === '"') {
+			quoted = true;
+		} else if (char === ',') {
+			row.push(field);
+			field = '';
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && text[i + 1] === '\n') i++;
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = '';
+		} else {
+			field += char;
 		}
+	}
 
-		// Process the validation
-		return await processValidation(request, env, origin);
-	} catch (error) {
-		console.error('Worker error:', error);
-		console.error('Stack:', error.stack);
+	if (field || row.length) {
+		row.push(field);
+		rows.push(row);
+	}
+	return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+// Spreadsheets run cells starting with = + - @ (or a tab/CR) as formulas; a leading ' keeps them text.
+// A bare E.164 number is left alone so the normalized column stays importable.
+const neutralizeFormula = (value) => (/^[=+\-@\t\r]/.test(value ?? '') && !/^\+\d+$/.test(value) ? `'${value}` : (value ?? ''));
+
+const toCSVRow = (values) =>
+	values
+		.map(neutralizeFormula)
+		.map((value) => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value))
+		.join(',');
 
+// Uses the column whose header looks like a phone column, otherwise the first column with no header row
+function extractJobNumbers(text) {
+	const rows = parseCSV(text.replace(/^\uFEFF/, ''));
+	const headerIndex = (rows[0] || []).findIndex((cell) =>
+		/^(number|phone|phone number|nomor|no\.? ?(hp|wa|whatsapp)|whatsapp|wa|hp)$/i.test(cell.trim()),
+	);
+	const dataRows = headerIndex === -1 ? rows : rows.slice(1);
+	const column = Math.max(headerIndex, 0);
+	return dataRows.map((cells) => (cells[column] || '').trim());
+}
+
+// POST /v1/jobs with a CSV body (text/csv) or a multipart form carrying a `file` field
+async function handleJobCreate(request, env, context) {
+	const adminRejection = await requireAdmin(request, env, context.origin);
+	if (adminRejection) return adminRejection;
+
+	const store = createJobStore(env);
+	if (!store) {
 		return ResponseBuilder.json(
 			{
 				status: false,
-				message: 'Internal server error',
-				error: error.message,
+				message: 'Jobs unavailable: neither BULK_JOBS_BUCKET nor TEST_LIMITER bound',
 			},
-			500,
-			origin,
+			503,
+			context.origin,
 		);
 	}
-}
 
-// Optimized rate limiting with batch operations
-async function checkRateLimit(clientIP, rateLimiter) {
-	const now = Date.now();
-	const minuteWindow = Math.floor(now / (CONFIG.RATE_LIMITS.WINDOW_MINUTE * 1000));
-	const minuteKey = `rate_minute_${clientIP}_${minuteWindow}`;
+	const isMultipart = (request.headers.get('Content-Type') || '').includes('multipart/form-data');
+	const upload = isMultipart ? (await request.formData().catch(() => null))?.get('file') : null;
+	// A `file` field sent as plain text is a string, not a File
+	if (isMultipart && typeof upload?.text !== 'function') {
+		return ResponseBuilder.json(
+			{
+				status: false,
+				message: 'Multipart uploads need a `file` field holding the CSV file',
+			},
+			400,
+			context.origin,
+		);
+	}
+	const csv = isMultipart ? await upload.text() : await request.text();
+	const numbers = extractJobNumbers(csv);
 
-	try {
-		// Get current count
-		const currentCount = await getCount(rateLimiter, minuteKey);
-		console.log(`📊 IP ${clientIP} - Current count: ${currentCount}/${CONFIG.RATE_LIMITS.PER_MINUTE}`);
+	if (numbers.length === 0) {
+		return ResponseBuilder.json(
+			{
+				status: false,
+				message: 'CSV contains no numbers',
+			},
+			400,
+			context.origin,
+		);
+	}
 
-		if (currentCount >= CONFIG.RATE_LIMITS.PER_MINUTE) {
-			console.log(`⚠️ Rate limit exceeded for ${clientIP}: ${currentCount}/${CONFIG.RATE_LIMITS.PER_MINUTE}`);
-			return {
-				allowed: false,
-				reason: 'minute_limit_exceeded',
-				limit: CONFIG.RATE_LIMITS.PER_MINUTE,
-				window: 'minute',
-				currentCount,
-			};
-		}
+	if (numbers.length > CONFIG.JOBS.MAX_ROWS) {
+		return ResponseBuilder.json(
+			{
+				status: false,
+				message: `At most ${CONFIG.JOBS.MAX_ROWS} rows per job`,
+				received: numbers.length,
+			},
+			400,
+			context.origin,
+		);
+	}
 
-		// Increment counter atomically
-		const newCount = await incrementCounter(rateLimiter, minuteKey, CONFIG.RATE_LIMITS.WINDOW_MINUTE);
-		console.log(`✅ Request allowed for ${clientIP}. New count: ${newCount}/${CONFIG.RATE_LIMITS.PER_MINUTE}`);
+	const now = new Date().toISOString();
+	const job = {
+		id: crypto.randomUUID(),
+		status: 'queued',
+		total: numbers.length,
+		processed: 0,
+		registered: 0,
+		unregistered: 0,
+		invalid: 0,
+		notMobile: 0,
+		failed: 0,
+		chunkStartedAt: null,
+		createdAt: now,
+		completedAt: null,
+		error: null,
+	};
 
-		return {
-			allowed: true,
-			remaining: CONFIG.RATE_LIMITS.PER_MINUTE - newCount,
-			currentCount: newCount,
-		};
-	} catch (error) {
-		console.error('Rate limit check error:', error);
-		// Fail open on errors
-		return { allowed: true, remaining: CONFIG.RATE_LIMITS.PER_MINUTE };
-	}
+	// Stored pre-split, so a chunk reads its own numbers instead of parsing the whole upload again
+	await Promise.all(
+		chunkOffsets(numbers.length).map((offset) =>
+			store.put(jobKey(job.id, `input_${offset}.json`), JSON.stringify(numbers.slice(offset, offset + CONFIG.JOBS.CHUNK_SIZE))),
+		),
+	);
+	await writeJob(store, job);
+	await createJobQueue(env, context.ctx).send({ jobId: job.id, offset: 0 });
+	context.log.info('Bulk job queued', { jobId: job.id, total: job.total });
+
+	return ResponseBuilder.json(
+		{
+			...job,
+			statusUrl: `/v1/jobs/${job.id}`,
+			resultUrl: `/v1/jobs/${job.id}/result.csv`,
+		},
+		202,
+		context.origin,
+	);
 }
 
-// Optimized counter operations
-async function getCount(rateLimiter, key) {
-	try {
-		const value = await rateLimiter.get(key);
-		return value ? parseInt(value, 10) : 0;
-	} catch (error) {
-		console.error('Error getting count:', error);
-		return 0;
+async function handleJobStatus(request, env, context) {
+	const adminRejection = await requireAdmin(request, env, context.origin);
+	if (adminRejection) return adminRejection;
+
+	const store = createJobStore(env);
+	const job = store && (await readJob(store, context.params.id));
+	if (!job) {
+		return ResponseBuilder.json(
+			{
+				status: false,
+				message: 'Job not found',
+			},
+			404,
+			context.origin,
+		);
 	}
-}
 
-async function incrementCounter(rateLimiter, key, ttl) {
-	try {
-		const current = await getCount(rateLimiter, key);
-		const newValue = current + 1;
-		await rateLimiter.put(key, newValue.toString(), {
-			expirationTtl: ttl,
-		});
-		return newValue;
-	} catch (error) {
-		console.error('Error incrementing count:', error);
-		return 1; // Fail open
+	// Without BULK_QUEUE, polling is what moves a job on to its next chunk
+	if (!env.BULK_QUEUE && isJobIdle(job)) {
+		await createJobQueue(env, context.ctx).send({ jobId: job.id, offset: job.processed });
 	}
+
+	return ResponseBuilder.json(
+		{
+			...job,
+			resultUrl: job.status === 'completed' ? `/v1/jobs/${job.id}/result.csv` : null,
+		},
+		200,
+		context.origin,
+		{ 'Cache-Control': 'no-store' },
+	);
 }
 
-// Optimized phone number formatting
-function formatPhoneNumber(number) {
-	if (!number) return null;
+async function handleJobResult(request, env, context) {
+	const adminRejection = await requireAdmin(request, env, context.origin);
+	if (adminRejection) return adminRejection;
+
+	const store = createJobStore(env);
+	const job = store && (await readJob(store, context.params.id));
+	if (!job) {
+		return ResponseBuilder.json(
+			{
+				status: false,
+				message: 'Job not found',
+			},
+			404,
+			context.origin,
+		);
+	}
 
-	// Single regex operation
-	const cleaned = String(number)
-		.trim()
-		.replace(/[^\d+]/g, '');
+	if (job.status !== 'completed') {
+		return ResponseBuilder.json(
+			{
+				status: false,
+				message: `Job is ${job.status}`,
+				processed: job.processed,
+				total: job.total,
+			},
+			409,
+			context.origin,
+		);
+	}
 
-	// Efficient prefix handling
-	if (cleaned.startsWith('0')) return '+62' + cleaned.slice(1);
-	if (cleaned.startsWith('62')) return '+' + cleaned;
-	if (cleaned.startsWith('+')) return cleaned;
-	return '+62' + cleaned;
+	return ResponseBuilder.csv(await store.get(jobKey(job.id, 'result.csv')), `${job.id}.csv`, context.origin);
 }
 
-// Streamlined request body parsing
-async function parseRequestBody(request) {
-	try {
-		const contentType = request.headers.get('content-type') || '';
+// Queue consumer; a message that keeps failing marks its job failed instead of retrying forever
+async function handleQueueBatch(batch, env, ctx) {
+	configureLogging(env);
 
-		if (!contentType.includes('application/json')) {
-			return {
-				success: false,
-				error: {
-					status: false,
-					message: 'Content-Type must be application/json',
-					received: contentType,
-				},
-			};
+	for (const message of batch.messages) {
+		try {
+			await processJobChunk(message.body, env, ctx);
+			message.ack();
+		} catch (error) {
+			logger.error('Bulk job chunk failed', { jobId: message.body?.jobId, attempts: message.attempts, error });
+			if ((message.attempts || 1) >= CONFIG.JOBS.MAX_ATTEMPTS) {
+				await failJob(env, message.body.jobId, error.message);
+				message.ack();
+			} else {
+				message.retry();
+			}
 		}
+	}
+}
 
-		const text = await request.text();
-		if (!text) {
-			return {
-				success: false,
-				error: {
-					status: false,
-					message: 'Empty request body',
-				},
-			};
-		}
+async function failJob(env, jobId, reason) {
+	const store = createJobStore(env);
+	const job = store && (await readJob(store, jobId));
+	if (!job) return;
+	await writeJob(store, { ...job, status: 'failed', error: reason });
+}
 
-		const body = JSON.parse(text);
-		console.log('Parsed request body:', body);
+async function processJobChunk({ jobId, offset }, env, ctx) {
+	const store = createJobStore(env);
+	const job = store && (await readJob(store, jobId));
 
-		return { success: true, data: body };
-	} catch (error) {
-		console.error('JSON Parse Error:', error.message);
-		return {
-			success: false,
-			error: {
-				status: false,
-				message: 'Invalid JSON in request body',
-				error: error.message,
-			},
-		};
+	// Unknown, finished, or a redelivered chunk that has already been recorded
+	if (!job || job.status === 'completed' || job.status === 'failed' || offset !== job.processed) return;
+
+	const providers = resolveProviderChain(env);
+	if (providers.length === 0) {
+		await writeJob(store, { ...job, status: 'failed', error: 'No WhatsApp provider configured' });
+		return;
 	}
-}
 
-// Optimized API call with AbortController
-async function callStarsenderAPI(phoneNumber, apiKey) {
-	const controller = new AbortController();
-	const timeoutId = setTimeout(() => controller.abort(), 8000);
+	await writeJob(store, { ...job, status: 'processing', chunkStartedAt: new Date().toISOString() });
+	const chunk = JSON.parse((await store.get(jobKey(jobId, `input_${offset}.json`))) || '[]');
+	const context = { ctx, log: logger.child({ jobId }) };
 
-	try {
-		const response = await fetch('https://api.starsender.online/api/check-number', {
-			method: 'POST',
-			headers: {
-				Authorization: apiKey,
-				'Content-Type': 'application/json',
-				Accept: 'application/json',
-				'User-Agent': 'CloudflareWorker/2.0',
-			},
-			body: JSON.stringify({ number: phoneNumber }),
-			signal: controller.signal,
-		});
+	const rows = await mapWithConcurrency(chunk, CONFIG.JOBS.CONCURRENCY, async (input) => {
+		const parsed = parsePhoneNumber(input, resolveDefaultRegion(env));
+		if (!parsed.valid) return { input, number: '', status: 'invalid', error: 'Invalid phone number format' };
 
-		clearTimeout(timeoutId);
+		const phoneNumber = parsed.e164;
+		if (nonMobileResult(parsed, classifyPhoneNumber(parsed))) {
+			return { input, number: phoneNumber, status: 'not_mobile', error: '' };
+		}
 
-		if (!response.ok) {
-			throw new Error(`API responded with ${response.status}: ${response.statusText}`);
+		try {
+			const { result } = await lookupWhatsAppNumber(phoneNumber, providers, env, context);
+			return { input, number: phoneNumber, status: result.registered ? 'registered' : 'unregistered', error: '' };
+		} catch (error) {
+			return { input, number: phoneNumber, status: 'error', error: mapUpstreamError(error, 'WhatsApp').errorMessage };
 		}
+	});
 
-		const responseText = await response.text();
-		console.log('API Response Text:', responseText);
+	// Each chunk is stored under its offset, so a redelivery overwrites instead of duplicating rows
+	await store.put(
+		jobKey(jobId, `chunk_${offset}.csv`),
+		rows.map((row) => toCSVRow([row.input, row.number, row.status, row.error])).join('\n'),
+	);
 
-		// Handle non-JSON responses
-		if (responseText.includes('<html') || responseText.includes('<!DOCTYPE')) {
-			throw new Error('Received HTML instead of JSON');
-		}
+	const count = (status) => rows.filter((row) => row.status === status).length;
+	const processed = offset + chunk.length;
+	const done = processed >= job.total;
+	const updated = {
+		...job,
+		status: done ? 'completed' : 'processing',
+		processed,
+		registered: job.registered + count('registered'),
+		unregistered: job.unregistered + count('unregistered'),
+		invalid: job.invalid + count('invalid'),
+		notMobile: (job.notMobile || 0) + count('not_mobile'),
+		failed: job.failed + count('error'),
+		chunkStartedAt: null,
+		completedAt: done ? new Date().toISOString() : null,
+	};
 
-		return {
-			success: true,
-			data: JSON.parse(responseText),
-			status: response.status,
-		};
-	} catch (error) {
-		clearTimeout(timeoutId);
+	if (done) {
+		const chunks = await Promise.all(chunkOffsets(job.total).map((chunkOffset) => store.get(jobKey(jobId, `chunk_${chunkOffset}.csv`))));
+		await store.put(jobKey(jobId, 'result.csv'), [toCSVRow(['input', 'number', 'status', 'error']), ...chunks].join('\n') + '\n');
+	}
 
-		if (error.name === 'AbortError') {
-			throw new Error('API timeout after 8 seconds');
-		}
+	await writeJob(store, updated);
+	context.log.info('Bulk job chunk processed', { offset, processed, total: job.total });
 
-		throw error;
+	if (!done) {
+		await createJobQueue(env, ctx).send({ jobId, offset: processed });
 	}
 }
 
-async function processValidation(request, env, origin) {
-	try {
-		// Parse and validate request body
-		const bodyResult = await parseRequestBody(request);
-		if (!bodyResult.success) {
-			return ResponseBuilder.json(bodyResult.error, 400, origin);
-		}
-
-		const { data: body } = bodyResult;
+async function processEmailValidation(request, env, context) {
+	const { origin, url, log } = context;
 
-		// Validate phone number
-		if (!body.number) {
+	try {
+		const email = (url.searchParams.get('email') || '').trim();
+		if (!email) {
 			return ResponseBuilder.json(
 				{
 					status: false,
-					message: 'Phone number is required',
-					received: body,
+					message: 'Email is required',
 				},
 				400,
 				origin,
 			);
 		}
 
-		// Format phone number
-		const phoneNumber = formatPhoneNumber(body.number);
-		if (!phoneNumber) {
-			return ResponseBuilder.json(
-				{
-					status: false,
-					message: 'Invalid phone number format',
-				},
-				400,
-				origin,
-			);
+		// Clear failures are answered without spending a QuickEmailVerification call
+		const local = await runLocalEmailChecks(email, env, context);
+		if (local) {
+			log.info('Email rejected by local checks', { email, reason: local.reason, detail: local.detail });
+			notifyValidation(env, context, { type: 'email', email, result: local, cached: false });
+			return ResponseBuilder.json({ ...local, receipt: await emailReceipt(env, local, origin) }, 200, origin);
 		}
 
-		console.log('Original number:', body.number);
-		console.log('Formatted number:', phoneNumber);
-
 		// Check if API key is available
-		if (!env.STARSENDER_DEVICE_KEY) {
-			console.error('❌ STARSENDER_DEVICE_KEY not configured');
+		if (!env.QEV_API_KEY) {
+			log.error('QEV_API_KEY not configured');
 			return ResponseBuilder.json(
 				{
 					status: false,
@@ -359,35 +2888,54 @@ async function processValidation(request, env, origin) {
 			);
 		}
 
-		// Call Starsender API
-		const apiResult = await callStarsenderAPI(phoneNumber, env.STARSENDER_DEVICE_KEY);
+		// Addresses are case-insensitive for caching purposes
+		const cacheSubject = email.toLowerCase();
+		const cached = await readCachedResult(env.TEST_LIMITER, 'email', cacheSubject);
+		context.ctx.waitUntil(trackCacheResult(env.TEST_LIMITER, 'email', !!cached));
+		if (cached) {
+			log.info('Email check served from cache', { email, result: cached.result });
+			notifyValidation(env, context, { type: 'email', email, result: { ...cached, email }, cached: true });
+			const receipt = await emailReceipt(env, { ...cached, email }, origin);
+			return ResponseBuilder.json({ ...cached, email, receipt }, 200, origin, { 'X-Cache': 'HIT' });
+		}
+
+		// Call QuickEmailVerification API
+		const apiResult = await callQuickEmailVerificationAPI(email, env.QEV_API_KEY);
 
 		if (!apiResult.success) {
 			throw new Error('API call failed');
 		}
 
-		console.log('API Response Status:', apiResult.status);
+		const { data } = apiResult;
+		log.info('Email check completed', { email, result: data.result, reason: data.reason });
 
-		// Return the API response
-		return ResponseBuilder.json(apiResult.data, apiResult.status, origin);
-	} catch (error) {
-		console.error('Validation error:', error);
-		console.error('Stack:', error.stack);
-
-		let errorMessage = 'Internal server error';
-		let errorStatus = 500;
+		// Only pass through what qev-v50.js consumes; disposable inboxes the local list missed still count as invalid
+		const disposable = isProviderFlag(data.disposable);
+		const flags = classifyEmailAddress(email);
+		const result = {
+			email,
+			result: disposable ? 'invalid' : data.result || 'unknown',
+			reason: disposable ? 'disposable' : data.reason || null,
+			did_you_mean: data.did_you_mean || '',
+			disposable,
+			// Whether a form warns about, blocks or ignores these is up to the widget's per-form policy
+			role: flags.role || isProviderFlag(data.role),
+			free: flags.free || isProviderFlag(data.free),
+			accept_all: isProviderFlag(data.accept_all),
+		};
 
-		if (error.message.includes('timeout')) {
-			errorMessage = 'WhatsApp API request timed out';
-			errorStatus = 504;
-		} else if (error.message.includes('fetch') || error.message.includes('API')) {
-			errorMessage = 'Failed to connect to WhatsApp API';
-			errorStatus = 502;
-		} else if (error.message.includes('HTML')) {
-			errorMessage = 'WhatsApp API service error';
-			errorStatus = 502;
+		// `unknown` is worth re-asking, so only definite answers are cached
+		if (result.result !== 'unknown') {
+			context.ctx.waitUntil(writeCachedResult(env.TEST_LIMITER, 'email', cacheSubject, result, result.result === 'valid'));
 		}
 
+		notifyValidation(env, context, { type: 'email', email, result, cached: false });
+		return ResponseBuilder.json({ ...result, receipt: await emailReceipt(env, result, origin) }, 200, origin, { 'X-Cache': 'MISS' });
+	} catch (error) {
+		log.error('Email validation error', { error });
+
+		const { errorMessage, errorStatus } = mapUpstreamError(error, 'Email verification');
+
 		return ResponseBuilder.json(
 			{
 				status: false,
@@ -401,7 +2949,7 @@ async function processValidation(request, env, origin) {
 }
 
 // Optimized monitoring functions
-async function logViolation(clientIP, reason, rateLimiter) {
+async function logViolation(clientIP, reason, rateLimiter, tier = 'minute', details = {}) {
 	try {
 		const date = new Date().toISOString();
 		const violationKey = `violation_${date}_${clientIP}`;
@@ -413,35 +2961,138 @@ async function logViolation(clientIP, reason, rateLimiter) {
 				value: JSON.stringify({
 					ip: clientIP,
 					reason: reason,
+					tier,
+					...details,
 					timestamp: date,
 				}),
 				ttl: 86400,
 			},
 		];
 
-		// Also increment daily violation counter
-		const dailyKey = `violations_count_${date.split('T')[0]}`;
-		const count = await getCount(rateLimiter, dailyKey);
-		violations.push({
-			key: dailyKey,
-			value: (count + 1).toString(),
-			ttl: 86400 * 7,
+		// Also increment the daily violation counters, overall and per tier
+		const day = date.split('T')[0];
+		const dailyKeys = [`violations_count_${day}`, `violations_count_${tier}_${day}`];
+		const counts = await Promise.all(dailyKeys.map((key) => getCount(rateLimiter, key)));
+		dailyKeys.forEach((key, i) => {
+			violations.push({
+				key,
+				value: (counts[i] + 1).toString(),
+				ttl: 86400 * 7,
+			});
 		});
 
 		// Execute batch operations
 		await Promise.all(violations.map((v) => rateLimiter.put(v.key, v.value, { expirationTtl: v.ttl })));
 
-		console.log(`⚠️ Rate limit violation: ${clientIP} - ${reason}`);
+		logger.info('Violation recorded', { clientIP, reason, tier });
+
+		await autoBlockIP(clientIP, reason, rateLimiter);
 	} catch (error) {
-		console.error('Error logging violation:', error);
+		logger.error('Error logging violation', { error });
 	}
 }
 
+// Repeat offenders land on the blocklist until the `ip_block_*` entry expires
+async function autoBlockIP(clientIP, reason, rateLimiter) {
+	const { AUTO_BLOCK_THRESHOLD, AUTO_BLOCK_WINDOW, AUTO_BLOCK_TTL } = CONFIG.IP_LISTS;
+	if (!AUTO_BLOCK_THRESHOLD || clientIP === 'unknown') return;
+
+	const windowKey = `violations_ip_${clientIP}_${Math.floor(Date.now() / (AUTO_BLOCK_WINDOW * 1000))}`;
+	const violations = await incrementCounter(rateLimiter, windowKey, AUTO_BLOCK_WINDOW);
+	if (violations < AUTO_BLOCK_THRESHOLD) return;
+
+	await rateLimiter.put(
+		`ip_block_${clientIP}`,
+		JSON.stringify({
+			reason,
+			violations,
+			blockedAt: new Date().toISOString(),
+		}),
+		{ expirationTtl: AUTO_BLOCK_TTL },
+	);
+	logger.warn('IP auto-blocked', { clientIP, violations, ttlSeconds: AUTO_BLOCK_TTL });
+}
+
 async function trackRequest(clientIP, rateLimiter) {
 	try {
 		const hourKey = `requests_${new Date().toISOString().substring(0, 13)}`;
 		await incrementCounter(rateLimiter, hourKey, 86400 * 7);
 	} catch (error) {
-		console.error('Error tracking request:', error);
+		logger.error('Error tracking request', { error });
+	}
+}
+
+// Counts `violation_<iso>_<ip>` records per IP. Those records expire after a day, so older days come back empty
+async function getTopOffenders(store, days) {
+	const counts = new Map();
+
+	try {
+		for (const day of days) {
+			let cursor;
+			do {
+				const page = await store.list({ prefix: `violation_${day}`, cursor });
+				page.keys.forEach(({ name }) => {
+					const ip = name.slice(name.lastIndexOf('_') + 1);
+					counts.set(ip, (counts.get(ip) || 0) + 1);
+				});
+				cursor = page.list_complete ? null : page.cursor;
+			} while (cursor);
+		}
+	} catch (error) {
+		logger.error('Error listing violations', { error });
+	}
+
+	return [...counts]
+		.sort((a, b) => b[1] - a[1])
+		.slice(0, CONFIG.MONITORING.TOP_OFFENDERS)
+		.map(([ip, violations]) => ({ ip, violations }));
+}
+
+// Provider latency is kept as a daily histogram over LATENCY_BUCKETS_MS, the last slot counting anything slower
+async function recordProviderLatency(store, provider, durationMs) {
+	if (!store || !CONFIG.MONITORING.TRACK_PATTERNS) return;
+	try {
+		const buckets = CONFIG.MONITORING.LATENCY_BUCKETS_MS;
+		const key = `latency_${provider}_${new Date().toISOString().split('T')[0]}`;
+		const histogram = (await store.get(key, 'json')) || Array(buckets.length + 1).fill(0);
+		const slot = buckets.findIndex((bound) => durationMs <= bound);
+		histogram[slot === -1 ? buckets.length : slot]++;
+		await store.put(key, JSON.stringify(histogram), { expirationTtl: 86400 * 7 });
+	} catch (error) {
+		logger.error('Error recording provider latency', { provider, error });
 	}
 }
+
+// Percentiles are bucket upper bounds in ms, so they are an upper estimate
+async function getProviderLatency(store, provider, days) {
+	const buckets = CONFIG.MONITORING.LATENCY_BUCKETS_MS;
+	const histogram = Array(buckets.length + 1).fill(0);
+	const daily = await Promise.all(days.map((day) => store.get(`latency_${provider}_${day}`, 'json').catch(() => null)));
+	daily.filter(Boolean).forEach((counts) => counts.forEach((count, slot) => (histogram[slot] += count)));
+
+	const samples = histogram.reduce((sum, count) => sum + count, 0);
+	const percentile = (p) => {
+		if (!samples) return null;
+		let seen = 0;
+		const slot = histogram.findIndex((count) => (seen += count) >= Math.ceil((p / 100) * samples));
+		return buckets[slot] ?? `>${buckets[buckets.length - 1]}`;
+	};
+
+	return { samples, p50: percentile(50), p90: percentile(90), p99: percentile(99) };
+}
+
+async function trackCacheResult(store, kind, hit) {
+	if (!store || !CONFIG.MONITORING.TRACK_PATTERNS) return;
+	const day = new Date().toISOString().split('T')[0];
+	await incrementCounter(store, `cache_${hit ? 'hits' : 'misses'}_${kind}_${day}`, 86400 * 7);
+}
+
+async function getCacheStats(store, kind, days) {
+	const [hits, misses] = await Promise.all(
+		['hits', 'misses'].map(async (outcome) => {
+			const counts = await Promise.all(days.map((day) => getCount(store, `cache_${outcome}_${kind}_${day}`)));
+			return counts.reduce((sum, count) => sum + count, 0);
+		}),
+	);
+	return { hits, misses, hitRatio: hits + misses ? Number((hits / (hits + misses)).toFixed(3)) : null };
+}
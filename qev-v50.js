@@ -5,6 +5,7 @@
   const CONFIG = Object.freeze({
     // Replace with your deployed Cloudflare Worker URL
     API_URL: "https://test.scalev.workers.dev",
+    CHECK_PATH: "/v1/email/check",
     DEBOUNCE_DELAY: 800,
     INPUT_SELECTOR: "#email",
     SUBMIT_SELECTOR: 'button[type="submit"]',
@@ -13,7 +14,8 @@
       SUCCESS_TTL: 600000,
       FAILURE_TTL: 300000,
       MAX_SIZE: 50,
-      KEY_PREFIX: "email_v_",
+      // Bumped whenever the cached shape changes, so older entries are never read back
+      KEY_PREFIX: "email_v2_",
     },
     MESSAGES: {
       ERROR_INPUT: "Email yang Anda masukkan salah",
@@ -22,6 +24,63 @@
       ERROR_SUBMIT: "Perbaiki email sebelum submit!",
       RATE_LIMIT: "Terlalu banyak percobaan validasi. Silakan tunggu sebentar.",
       DISPOSABLE: "Gunakan alamat email utama Anda, bukan email sekali pakai.",
+      ROLE: "Gunakan email pribadi Anda, bukan alamat umum seperti admin@ atau info@.",
+      FREE: "Gunakan email perusahaan Anda, bukan email gratis.",
+      ACCEPT_ALL:
+        "Server email ini menerima semua alamat, pastikan email Anda sudah benar.",
+      UNVERIFIED:
+        "Email belum dapat diverifikasi. Pastikan alamat email Anda sudah benar.",
+      UNVERIFIED_BLOCK:
+        "Email belum dapat diverifikasi. Silakan coba lagi sebentar lagi.",
+    },
+    // What to do with a valid address carrying a flag: "block", "warn" or "allow".
+    // Forms override per flag with data-email-role-policy, data-email-free-policy
+    // and data-email-accept-all-policy.
+    POLICIES: {
+      ROLE: "warn",
+      FREE: "allow",
+      ACCEPT_ALL: "warn",
+    },
+    // When there is no definite answer (offline, rate limited, "unknown"):
+    // "allow", "warn", "block" (only verified addresses submit) or
+    // "tag-hidden-field" (submit, with the outcome in a hidden input; "unverified" when
+    // the address was never checked).
+    // Forms override with data-email-unverified-policy and data-email-unverified-field.
+    UNVERIFIED_POLICY: "allow",
+    UNVERIFIED_FIELD: "email_verification",
+    // Hidden fields written into the form on submit: <prefix>address, <prefix>status,
+    // <prefix>checked_at and <prefix>receipt. Forms opt in with data-email-hidden-fields="true"
+    // and may change the prefix with data-email-hidden-field-prefix.
+    HIDDEN_FIELDS: { ENABLED: false, PREFIX: "email_" },
+    // Local "Maksud Anda" suggestions, checked before any network call
+    SUGGESTIONS: {
+      ENABLED: true,
+      DOMAINS: [
+        "gmail.com",
+        "yahoo.com",
+        "yahoo.co.id",
+        "ymail.com",
+        "outlook.com",
+        "hotmail.com",
+        "icloud.com",
+      ],
+      // Frequent typos too far from their domain for the edit-distance match
+      TYPOS: {
+        "gmail.co": "gmail.com",
+        "gmail.co.id": "gmail.com",
+        "gmail.cm": "gmail.com",
+        "gamil.co": "gmail.com",
+        "gmial.co": "gmail.com",
+        "yahoo.co": "yahoo.co.id",
+        "yahoo.id": "yahoo.co.id",
+        "yaho.co.id": "yahoo.co.id",
+        "yahooo.co.id": "yahoo.co.id",
+        "outlook.co": "outlook.com",
+        "hotmail.co": "hotmail.com",
+        "icloud.co": "icloud.com",
+      },
+      // Edits (insert, delete, substitute, swap) allowed between a typed domain and a known one
+      MAX_DISTANCE: 1,
     },
   });
 
@@ -213,6 +272,126 @@
     }
   }
 
+  // Worker challenge solver (proof-of-work or Turnstile)
+  class ChallengeSolver {
+    static async solve(challenge) {
+      try {
+        if (challenge?.type === "pow") {
+          return await ChallengeSolver.solveProofOfWork(challenge);
+        }
+        if (challenge?.type === "turnstile") {
+          return await ChallengeSolver.solveTurnstile(challenge);
+        }
+      } catch (e) {
+        console.warn("Challenge solving failed", e);
+      }
+      return null;
+    }
+    static async solveProofOfWork({ challenge, difficulty }) {
+      const encoder = new TextEncoder();
+      for (let nonce = 0; nonce < 1 << 24; nonce++) {
+        const digest = new Uint8Array(
+          await crypto.subtle.digest(
+            "SHA-256",
+            encoder.encode(`${challenge}:${nonce}`),
+          ),
+        );
+        if (ChallengeSolver.leadingZeroBits(digest) >= difficulty) {
+          return `pow:${challenge}:${nonce}`;
+        }
+      }
+      return null;
+    }
+    static leadingZeroBits(bytes) {
+      let bits = 0;
+      for (const byte of bytes) {
+        if (byte !== 0) return bits + Math.clz32(byte) - 24;
+        bits += 8;
+      }
+      return bits;
+    }
+    // Needs the Turnstile script on the page
+    static solveTurnstile({ siteKey }) {
+      if (!window.turnstile) return null;
+      return new Promise((resolve) => {
+        const container = document.createElement("div");
+        document.body.appendChild(container);
+        const done = (token) => {
+          container.remove();
+          resolve(token ? `turnstile:${token}` : null);
+        };
+        window.turnstile.render(container, {
+          sitekey: siteKey,
+          appearance: "interaction-only",
+          callback: done,
+          "error-callback": () => done(null),
+          "expired-callback": () => done(null),
+        });
+      });
+    }
+  }
+
+  // Result flags from the worker, in the order their messages take precedence
+  const EMAIL_FLAGS = [
+    { field: "role", key: "ROLE", dataset: "emailRolePolicy" },
+    { field: "free", key: "FREE", dataset: "emailFreePolicy" },
+    { field: "accept_all", key: "ACCEPT_ALL", dataset: "emailAcceptAllPolicy" },
+  ];
+
+  // Offline typo suggestions for well-known mail domains
+  class DomainSuggester {
+    static suggest(email) {
+      if (!CONFIG.SUGGESTIONS.ENABLED) return null;
+      const at = email.lastIndexOf("@");
+      if (at < 1) return null;
+
+      const local = email.slice(0, at);
+      const domain = email.slice(at + 1).toLowerCase();
+      const { DOMAINS, TYPOS, MAX_DISTANCE } = CONFIG.SUGGESTIONS;
+      if (DOMAINS.includes(domain)) return null;
+      if (TYPOS[domain]) return `${local}@${TYPOS[domain]}`;
+
+      let best = null;
+      let bestDistance = MAX_DISTANCE + 1;
+      for (const candidate of DOMAINS) {
+        const distance = this.distance(domain, candidate);
+        if (distance < bestDistance) {
+          best = candidate;
+          bestDistance = distance;
+        }
+      }
+      return best ? `${local}@${best}` : null;
+    }
+
+    // Optimal string alignment distance: Levenshtein plus adjacent swaps (gmial -> gmail)
+    static distance(a, b) {
+      if (Math.abs(a.length - b.length) > CONFIG.SUGGESTIONS.MAX_DISTANCE) {
+        return Infinity;
+      }
+      const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+      for (let j = 1; j <= b.length; j++) d[0][j] = j;
+      for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+          const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+          d[i][j] = Math.min(
+            d[i - 1][j] + 1,
+            d[i][j - 1] + 1,
+            d[i - 1][j - 1] + cost,
+          );
+          if (
+            i > 1 &&
+            j > 1 &&
+            a[i - 1] === b[j - 2] &&
+            a[i - 2] === b[j - 1]
+          ) {
+            d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+          }
+        }
+      }
+      return d[a.length][b.length];
+    }
+  }
+
   class EmailValidator {
     constructor() {
       this.domCache = new DOMCache();
@@ -229,6 +408,8 @@
         isValidating: false,
         activeEmail: null,
         invalidEdited: false,
+        verification: null, // Last answer for the hidden form fields
+        rateLimitTimer: null, // Countdown while the worker's Retry-After runs
       };
     }
 
@@ -283,6 +464,7 @@
         } else {
           clearTimeout(this.state.debounceTimer);
           this.updateUI(null, "");
+          this.showSuggestion(null);
           if (!value) {
             this.state.validationState = null;
             this.updateSubmitButton("clear");
@@ -297,6 +479,15 @@
 
     handleBlur() {
       const emailInput = this.domCache.get("emailInput", CONFIG.INPUT_SELECTOR);
+      // No answer yet under "block" - try again rather than leave the form stuck
+      if (
+        this.state.validationState === "unverified" &&
+        emailInput?.value.trim() &&
+        emailInput.checkValidity()
+      ) {
+        this.queueValidation();
+        return;
+      }
       if (
         this.state.validationState === false &&
         this.state.invalidEdited &&
@@ -310,23 +501,59 @@
     }
 
     handleSubmit(e) {
-      if (this.state.validationState === false) {
+      if (this.isSubmitBlocked()) {
         e.preventDefault();
         e.stopPropagation();
-        this.showValidationError();
+        this.showSubmitBlocked();
         return false;
       }
+      this.tagUncheckedEmail();
+      this.writeHiddenFields(e.currentTarget);
     }
 
     handleSubmitClick(e) {
-      if (this.state.validationState === false) {
+      if (this.isSubmitBlocked()) {
         e.preventDefault();
         e.stopPropagation();
-        this.showValidationError();
+        this.showSubmitBlocked();
         return false;
       }
     }
 
+    // Only a definite "invalid" reads as an error; anything else has a check queued by isSubmitBlocked
+    showSubmitBlocked() {
+      if (this.state.validationState !== false) {
+        this.updateUI(null, CONFIG.MESSAGES.UNVERIFIED_BLOCK);
+        return;
+      }
+      this.showValidationError();
+    }
+
+    // "tag-hidden-field" forms submitted before any answer for the current address
+    tagUncheckedEmail() {
+      if (this.getUnverifiedPolicy() !== "tag-hidden-field") return;
+      const input = this.domCache.get("emailInput", CONFIG.INPUT_SELECTOR);
+      const email = input?.value.trim().toLowerCase();
+      if (email && this.state.verification?.email !== email) {
+        this.setOutcomeField("unverified");
+      }
+    }
+
+    isSubmitBlocked() {
+      if (this.state.validationState === false) return true;
+      if (this.getUnverifiedPolicy() !== "block") return false;
+
+      // "block" forms wait for a verified answer for the current value
+      const emailInput = this.domCache.get("emailInput", CONFIG.INPUT_SELECTOR);
+      const email = emailInput?.value.trim();
+      if (!email) return false;
+      const verified =
+        this.state.validationState === true &&
+        this.state.lastValidatedEmail === email;
+      if (!verified && !this.state.isValidating) this.queueValidation();
+      return !verified;
+    }
+
     showValidationError() {
       const emailInput = this.domCache.get("emailInput", CONFIG.INPUT_SELECTOR);
       const span = this.getOrCreateStatusSpan();
@@ -374,12 +601,15 @@
         return;
       }
       if (
+        this.state.rateLimitTimer ||
         (this.state.isValidating && this.state.activeEmail === email) ||
         (this.state.validationState === true &&
           this.state.lastValidatedEmail === email)
       ) {
         return;
       }
+      // Likely domain typos get a local hint only: the address is still checked and stays submittable
+      this.showSuggestion(DomainSuggester.suggest(email));
       this.queueManager.add(email, (done) => {
         this.validateEmail(email).finally(done);
       });
@@ -395,32 +625,71 @@
       );
       try {
         const cached = await this.cacheManager.get(email);
-        if (cached === true) {
-          this.updateUI(true);
-          this.state.validationState = true;
-          this.state.lastValidatedEmail = email;
-          return true;
+        if (cached?.result === "valid") {
+          this.recordVerification(email, "verified", cached);
+          return this.acceptValidEmail(email, cached);
         }
 
         this.updateUI(null, "", true);
 
+        const url = new URL(CONFIG.CHECK_PATH, CONFIG.API_URL);
+        url.searchParams.set("email", email);
         const attempts = 3;
         let data = null;
         for (let i = 0; i < attempts; i++) {
           try {
             const controller = new AbortController();
             const timeoutId = setTimeout(() => controller.abort(), 3000);
-            const response = await fetch(
-              `${CONFIG.API_URL}?email=${encodeURIComponent(email)}`,
-              { headers: { Accept: "application/json" }, signal: controller.signal },
-            );
+            let response = await fetch(url, {
+              headers: { Accept: "application/json" },
+              signal: controller.signal,
+            });
             clearTimeout(timeoutId);
+            // Busy IP - solve the worker's challenge and retry once
+            if (response.status === 403) {
+              const body = await response.clone().json().catch(() => null);
+              const solution =
+                body?.code === "challenge_required"
+                  ? await ChallengeSolver.solve(body.challenge)
+                  : null;
+              if (solution) {
+                const retryController = new AbortController();
+                const retryTimeoutId = setTimeout(
+                  () => retryController.abort(),
+                  3000,
+                );
+                try {
+                  response = await fetch(url, {
+                    headers: {
+                      Accept: "application/json",
+                      "X-Challenge-Response": solution,
+                    },
+                    signal: retryController.signal,
+                  });
+                } finally {
+                  clearTimeout(retryTimeoutId);
+                }
+              }
+            }
+            // Worker-side limit: a real 429, or the silent 200 carrying Retry-After
+            const retryAfter = response.headers.get("Retry-After");
+            if (response.status === 429 || retryAfter) {
+              const result = this.handleUnverified(
+                email,
+                "rate_limited",
+                CONFIG.MESSAGES.RATE_LIMIT,
+              );
+              this.showRateLimitCountdown(Number(retryAfter) || 60);
+              return result;
+            }
             data = await response.json();
           } catch (e) {
             console.warn("Email validation failed", e);
-            this.updateUI(null, "Error validating email");
-            this.state.validationState = null;
-            return null;
+            return this.handleUnverified(
+              email,
+              "offline",
+              "Error validating email",
+            );
           }
 
           if (emailInput?.value.trim() !== email) {
@@ -442,39 +711,48 @@
         }
 
         if (!data || data.result === "unknown") {
-          this.updateUI(null, "");
-          this.state.validationState = null;
-          return null;
+          return this.handleUnverified(email, "unknown");
         }
 
         if (data.result === "valid") {
-          await this.cacheManager.set(email, true, true);
-          this.updateUI(true);
-          this.state.validationState = true;
-          this.state.lastValidatedEmail = email;
-          return true;
+          const flags = {
+            role: !!data.role,
+            free: !!data.free,
+            accept_all: !!data.accept_all,
+          };
+          const details = {
+            receipt: data.receipt || null,
+            checkedAt: new Date().toISOString(),
+          };
+          await this.cacheManager.set(
+            email,
+            { result: "valid", ...flags, ...details },
+            true,
+          );
+          this.recordVerification(email, "verified", details);
+          return this.acceptValidEmail(email, flags);
         }
 
-        if (data.result === "invalid" && data.did_you_mean) {
-          const suggestion = data.did_you_mean;
-          const msg = `Maksud Anda: <button type="button" class="email-suggestion underline" style="background:none;border:0;padding:0;margin:0;">${suggestion}</button>?`;
-          this.updateUI(false, msg);
-          this.attachSuggestionHandler(suggestion);
+        if (data.result === "invalid" && data.disposable) {
+          this.updateUI(false, CONFIG.MESSAGES.DISPOSABLE);
           this.state.validationState = false;
           this.state.lastValidatedEmail = email;
           return false;
         }
 
         if (data.result === "invalid") {
+          if (data.did_you_mean) this.showSuggestion(data.did_you_mean);
           this.updateUI(false);
           this.state.validationState = false;
           this.state.lastValidatedEmail = email;
           return false;
         }
 
-        this.updateUI(null, "Error validating email");
-        this.state.validationState = null;
-        return null;
+        return this.handleUnverified(
+          email,
+          "unknown",
+          "Error validating email",
+        );
       } finally {
         this.state.isValidating = false;
         this.state.activeEmail = null;
@@ -682,20 +960,219 @@
       });
     }
 
-    attachSuggestionHandler(suggestion) {
+    // A flag's policy for the enclosing form, falling back to CONFIG.POLICIES
+    getFlagPolicy(flag) {
+      const input = this.domCache.get("emailInput", CONFIG.INPUT_SELECTOR);
+      const policy = input?.closest("form")?.dataset[flag.dataset];
+      return ["block", "warn", "allow"].includes(policy)
+        ? policy
+        : CONFIG.POLICIES[flag.key];
+    }
+
+    getUnverifiedPolicy() {
+      const input = this.domCache.get("emailInput", CONFIG.INPUT_SELECTOR);
+      const policy = input?.closest("form")?.dataset.emailUnverifiedPolicy;
+      return ["allow", "warn", "block", "tag-hidden-field"].includes(policy)
+        ? policy
+        : CONFIG.UNVERIFIED_POLICY;
+    }
+
+    // No definite answer for `email`; `outcome` is "offline", "rate_limited" or "unknown"
+    handleUnverified(email, outcome, message = "") {
+      const policy = this.getUnverifiedPolicy();
+      if (policy === "tag-hidden-field") this.setOutcomeField(outcome);
+      if (policy !== "block") this.recordVerification(email, "failsafe");
+
+      // Not invalid, just unanswered: submit and blur retry instead of disabling the form
+      if (policy === "block") {
+        this.updateUI(null, CONFIG.MESSAGES.UNVERIFIED_BLOCK);
+        this.updateSubmitButton("clear");
+        this.state.validationState = "unverified";
+        this.state.lastValidatedEmail = email;
+        return false;
+      }
+      this.updateUI(
+        null,
+        policy === "warn" ? CONFIG.MESSAGES.UNVERIFIED : message,
+      );
+      this.state.validationState = null;
+      return null;
+    }
+
+    // Keeps the rate-limit message up until Retry-After has passed, then re-checks the current value
+    showRateLimitCountdown(seconds) {
+      clearInterval(this.state.rateLimitTimer);
+
+      let remaining = Math.max(1, Math.ceil(seconds));
+      const render = () =>
+        this.updateUI(
+          this.state.validationState === false ? false : null,
+          `${CONFIG.MESSAGES.RATE_LIMIT} (${remaining} detik)`,
+        );
+      render();
+
+      this.state.rateLimitTimer = setInterval(() => {
+        remaining--;
+        if (remaining > 0) {
+          render();
+          return;
+        }
+
+        clearInterval(this.state.rateLimitTimer);
+        this.state.rateLimitTimer = null;
+        this.state.validationState = null;
+        this.updateUI(null, "");
+        this.queueValidation();
+      }, 1000);
+    }
+
+    // Hidden input carrying the unverified outcome; null removes it once the address is verified
+    setOutcomeField(outcome) {
+      const input = this.domCache.get("emailInput", CONFIG.INPUT_SELECTOR);
+      const form = input?.closest("form");
+      if (!form) return;
+      const name = form.dataset.emailUnverifiedField || CONFIG.UNVERIFIED_FIELD;
+      this.setHiddenField(form, name, outcome);
+    }
+
+    // Creates or updates a hidden input; a null value removes it
+    setHiddenField(form, name, value) {
+      let field = [...form.querySelectorAll('input[type="hidden"]')].find(
+        (el) => el.name === name,
+      );
+      if (value === null) {
+        field?.remove();
+        return;
+      }
+      if (!field) {
+        field = document.createElement("input");
+        field.type = "hidden";
+        field.name = name;
+        form.appendChild(field);
+      }
+      field.value = value;
+    }
+
+    // `status` is "verified" or "failsafe" (no definite answer, submitted anyway)
+    recordVerification(email, status, details = {}) {
+      this.state.verification = {
+        email: email.toLowerCase(),
+        status,
+        checkedAt: details.checkedAt || new Date().toISOString(),
+        receipt: details.receipt || null,
+      };
+    }
+
+    writeHiddenFields(form) {
+      if (!form) return;
+      const enabled =
+        form.dataset.emailHiddenFields !== undefined
+          ? form.dataset.emailHiddenFields === "true"
+          : CONFIG.HIDDEN_FIELDS.ENABLED;
+      if (!enabled) return;
+
+      const input = this.domCache.get("emailInput", CONFIG.INPUT_SELECTOR);
+      const email = input?.value.trim().toLowerCase() || "";
+      const verification =
+        this.state.verification?.email === email
+          ? this.state.verification
+          : null;
+      const prefix =
+        form.dataset.emailHiddenFieldPrefix || CONFIG.HIDDEN_FIELDS.PREFIX;
+
+      this.setHiddenField(form, `${prefix}address`, email);
+      this.setHiddenField(
+        form,
+        `${prefix}status`,
+        verification?.status || "unchecked",
+      );
+      this.setHiddenField(
+        form,
+        `${prefix}checked_at`,
+        verification?.checkedAt || new Date().toISOString(),
+      );
+      this.setHiddenField(
+        form,
+        `${prefix}receipt`,
+        verification?.receipt || "",
+      );
+    }
+
+    acceptValidEmail(email, flags) {
+      const raised = EMAIL_FLAGS.filter((flag) => flags[flag.field]);
+      const policies = raised.map((flag) => this.getFlagPolicy(flag));
+      const blocked = raised[policies.indexOf("block")];
+      const warned = raised[policies.indexOf("warn")];
+
+      this.state.lastValidatedEmail = email;
+      this.setOutcomeField(null);
+      if (blocked) {
+        this.updateUI(false, CONFIG.MESSAGES[blocked.key]);
+        this.state.validationState = false;
+        return false;
+      }
+      this.updateUI(true, warned ? CONFIG.MESSAGES[warned.key] : "");
+      this.state.validationState = true;
+      return true;
+    }
+
+    // "Maksud Anda" hint below the status message, next to whatever the check says; null hides it
+    showSuggestion(suggestion) {
+      const hint = this.getOrCreateSuggestionHint();
+      if (!hint) return;
+
       this.domBatcher.schedule(() => {
-        const span = this.getOrCreateStatusSpan();
-        const input = this.domCache.get("emailInput", CONFIG.INPUT_SELECTOR);
-        const btn = span?.querySelector(".email-suggestion");
-        if (!btn || !input) return;
-        this.eventManager.add(btn, "click", () => {
-          input.value = suggestion;
-          input.focus();
-          this.queueValidation();
-        });
+        hint.replaceChildren();
+        if (!suggestion) {
+          hint.style.display = "none";
+          hint.setAttribute("aria-hidden", "true");
+          return;
+        }
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "email-suggestion underline";
+        btn.style.cssText = "background:none;border:0;padding:0;margin:0;";
+        // The local part is whatever the visitor typed, so it only ever goes in as text
+        btn.textContent = suggestion;
+        this.eventManager.add(btn, "click", () =>
+          this.applySuggestion(suggestion),
+        );
+        hint.append("Maksud Anda: ", btn, "?");
+        hint.style.display = "flex";
+        hint.setAttribute("aria-hidden", "false");
       });
     }
 
+    applySuggestion(suggestion) {
+      const input = this.domCache.get("emailInput", CONFIG.INPUT_SELECTOR);
+      if (!input) return;
+      input.value = suggestion;
+      input.focus();
+      this.queueValidation();
+    }
+
+    getOrCreateSuggestionHint() {
+      const span = this.getOrCreateStatusSpan();
+      if (!span) return null;
+
+      let hint = this.domCache.get("suggestionHint", "#email-suggestion-hint");
+      if (!hint) {
+        hint = document.createElement("span");
+        hint.id = "email-suggestion-hint";
+        hint.className =
+          "email-suggestion-hint break-word mb-[5px] flex items-center gap-1 text-[12px]";
+        hint.style.display = "none";
+        hint.setAttribute("aria-hidden", "true");
+        hint.setAttribute("aria-live", "polite");
+        this.domCache.set("suggestionHint", hint);
+      }
+      if (hint.previousElementSibling !== span) {
+        span.insertAdjacentElement("afterend", hint);
+      }
+
+      return hint;
+    }
+
     updateUI(isValid, message = "", isLoading = false) {
       const span = this.getOrCreateStatusSpan();
       const input = this.domCache.get("emailInput", CONFIG.INPUT_SELECTOR);
@@ -715,8 +1192,17 @@
           this.updateSubmitButton("clear");
         } else if (isValid === true) {
           this.updateInputIcon("success");
-          span.style.display = "none";
-          span.setAttribute("aria-hidden", "true");
+          // Accepted with a warning (e.g. a role address on a "warn" form)
+          if (message) {
+            span.className =
+              "email-validation-message break-word mb-[5px] mt-[5px] flex items-center text-[12px]";
+            span.textContent = message;
+            span.style.display = "flex";
+            span.setAttribute("aria-hidden", "false");
+          } else {
+            span.style.display = "none";
+            span.setAttribute("aria-hidden", "true");
+          }
           input.setAttribute("aria-invalid", "false");
           if (inputWrapper) {
             inputWrapper.classList.add("border-green-600");
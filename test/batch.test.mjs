@@ -0,0 +1,78 @@
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createContext, loadWorker, MemoryKV, workerRequest } from './helpers.mjs';
+
+const ORIGIN = 'https://shop.example';
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+	globalThis.fetch = realFetch;
+});
+
+// The generic HTTP provider answers "registered" for numbers ending in an even digit
+function stubProvider() {
+	globalThis.fetch = async (url, init) => {
+		if (String(url) === 'https://provider.example/check') {
+			const { number } = JSON.parse(init.body);
+			return Response.json({ registered: Number(number.slice(-1)) % 2 === 0 });
+		}
+		return realFetch(url, init);
+	};
+}
+
+const createEnv = (overrides = {}) => ({
+	LOG_LEVEL: 'silent',
+	WA_PROVIDER: 'http',
+	WA_HTTP_PROVIDER_URL: 'https://provider.example/check',
+	TEST_LIMITER: new MemoryKV(),
+	...overrides,
+});
+
+const numbersOf = (count) => Array.from({ length: count }, (_, i) => `08123456${String(i).padStart(4, '0')}`);
+
+async function checkBatch(worker, env, numbers, origin) {
+	const ctx = createContext();
+	const response = await worker.default.fetch(
+		workerRequest('/v1/whatsapp/check-batch', { method: 'POST', origin, body: { numbers } }),
+		env,
+		ctx,
+	);
+	await ctx.drain();
+	return { status: response.status, body: await response.json() };
+}
+
+test('a batch that fits the per-minute quota is checked number by number', async () => {
+	stubProvider();
+	const worker = await loadWorker();
+
+	const { status, body } = await checkBatch(worker, createEnv(), [...numbersOf(10), 'not-a-number']);
+	assert.equal(status, 200);
+	assert.equal(body.summary.total, 11);
+	assert.equal(body.summary.registered + body.summary.unregistered, 10);
+	assert.equal(body.results[10].error, 'Invalid phone number format');
+});
+
+test('a batch bigger than the tightest IP tier is rejected up front', async () => {
+	stubProvider();
+	const worker = await loadWorker();
+	const env = createEnv();
+
+	const rejected = await checkBatch(worker, env, numbersOf(15));
+	assert.equal(rejected.status, 400);
+	assert.equal(rejected.body.maxNumbers, 10);
+	assert.equal(rejected.body.received, 15);
+
+	// Nothing was charged for it
+	assert.equal((await checkBatch(worker, env, numbersOf(10))).status, 200);
+});
+
+test('under token_bucket the bucket size bounds the batch', async () => {
+	stubProvider();
+	const worker = await loadWorker();
+	const env = createEnv({ ALLOWED_ORIGINS: ORIGIN, ORIGIN_RATE_LIMITS: JSON.stringify({ [ORIGIN]: { ALGORITHM: 'token_bucket' } }) });
+
+	const rejected = await checkBatch(worker, env, numbersOf(6), ORIGIN);
+	assert.equal(rejected.status, 400);
+	assert.equal(rejected.body.maxNumbers, 5);
+	assert.equal((await checkBatch(worker, env, numbersOf(5), ORIGIN)).status, 200);
+});
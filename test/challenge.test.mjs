@@ -0,0 +1,117 @@
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createContext, loadWorker, MemoryKV, workerRequest } from './helpers.mjs';
+
+const ORIGIN = 'https://shop.example';
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+	globalThis.fetch = realFetch;
+});
+
+// siteverify accepts exactly one widget token
+function stubSiteverify() {
+	const calls = [];
+	globalThis.fetch = async (url, init) => {
+		if (String(url).startsWith('https://challenges.cloudflare.com/')) {
+			const { response } = JSON.parse(init.body);
+			calls.push(response);
+			return Response.json(response === 'good-token' ? { success: true } : { success: false, 'error-codes': ['invalid-input-response'] });
+		}
+		return realFetch(url, init);
+	};
+	return calls;
+}
+
+const createEnv = (overrides = {}) => ({
+	LOG_LEVEL: 'silent',
+	CHALLENGE_PROVIDER: 'turnstile',
+	TURNSTILE_SITE_KEY: 'site-key',
+	TURNSTILE_SECRET_KEY: 'secret-key',
+	ALLOWED_ORIGINS: ORIGIN,
+	ORIGIN_RATE_LIMITS: JSON.stringify({ [ORIGIN]: { PER_MINUTE: 2, PER_TARGET: 100 } }),
+	TEST_LIMITER: new MemoryKV(),
+	...overrides,
+});
+
+async function check(worker, env, i, solution) {
+	const ctx = createContext();
+	const request = workerRequest('/v1/whatsapp/check', {
+		method: 'POST',
+		origin: ORIGIN,
+		headers: solution ? { 'X-Challenge-Response': `turnstile:${solution}` } : {},
+		body: { number: `08123456${String(i).padStart(4, '0')}` },
+	});
+	const response = await worker.default.fetch(request, env, ctx);
+	await ctx.drain();
+	return { status: response.status, body: await response.json(), headers: response.headers };
+}
+
+test('a token rejected by siteverify does not pass the challenge', async () => {
+	const calls = stubSiteverify();
+	const worker = await loadWorker();
+	const env = createEnv();
+
+	await check(worker, env, 0);
+	await check(worker, env, 1);
+	const rejected = await check(worker, env, 2, 'forged-token');
+
+	assert.deepEqual(calls, ['forged-token']);
+	assert.equal(rejected.status, 403);
+	assert.equal(rejected.body.code, 'challenge_required');
+	assert.equal(rejected.body.reason, 'invalid-input-response');
+
+	const accepted = await check(worker, env, 2, 'good-token');
+	assert.notEqual(accepted.status, 403);
+});
+
+test('the retry after a challenge is the only request charged', async () => {
+	stubSiteverify();
+	const worker = await loadWorker();
+	const env = createEnv({
+		RATE_LIMIT_RESPONSE_MODE: 'http_429',
+		ORIGIN_RATE_LIMITS: JSON.stringify({ [ORIGIN]: { PER_MINUTE: 2, HARD_PER_MINUTE: 3, PER_TARGET: 100 } }),
+	});
+
+	await check(worker, env, 0);
+	await check(worker, env, 1);
+	assert.equal((await check(worker, env, 2)).status, 403);
+	assert.equal((await check(worker, env, 3)).status, 403);
+
+	// The two challenged requests left the ceiling untouched: one solved request still fits under it
+	assert.notEqual((await check(worker, env, 2, 'good-token')).status, 403);
+	const overCeiling = await check(worker, env, 3, 'good-token');
+	assert.equal(overCeiling.status, 429);
+	assert.equal(overCeiling.body.limit, 'minute_hard');
+});
+
+test('token_bucket only challenges once the bucket is empty, and reports the soft limit', async () => {
+	const worker = await loadWorker();
+	const env = createEnv({ ORIGIN_RATE_LIMITS: JSON.stringify({ [ORIGIN]: { ALGORITHM: 'token_bucket', PER_TARGET: 100 } }) });
+
+	const first = await check(worker, env, 0);
+	assert.notEqual(first.status, 403);
+	assert.equal(first.headers.get('RateLimit-Limit'), '10');
+	assert.equal(first.headers.get('RateLimit-Remaining'), '4');
+
+	// BURST_MINUTE is 5: four more fit, the sixth needs a challenge
+	const statuses = [];
+	for (let i = 1; i <= 5; i++) statuses.push((await check(worker, env, i)).status);
+	assert.deepEqual(
+		statuses.map((status) => status === 403),
+		[false, false, false, false, true],
+	);
+});
+
+test('without a challenge provider PER_MINUTE is the hard limit', async () => {
+	const worker = await loadWorker();
+	const env = createEnv({ CHALLENGE_PROVIDER: undefined, TURNSTILE_SITE_KEY: undefined, RATE_LIMIT_RESPONSE_MODE: 'http_429' });
+
+	const statuses = [];
+	for (let i = 0; i < 4; i++) statuses.push((await check(worker, env, i)).status);
+
+	assert.deepEqual(
+		statuses.map((status) => status === 429),
+		[false, false, true, true],
+	);
+});
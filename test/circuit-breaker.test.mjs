@@ -0,0 +1,64 @@
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createContext, loadWorker, MemoryKV, workerRequest } from './helpers.mjs';
+
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+	globalThis.fetch = realFetch;
+});
+
+// A provider that is still down: every call fails with a 500 once `held` settles
+function stubFailingProvider(held) {
+	const calls = [];
+	globalThis.fetch = async (url, init) => {
+		if (String(url) === 'https://provider.example/check') {
+			calls.push(JSON.parse(init.body).number);
+			await held;
+			return new Response('down', { status: 500 });
+		}
+		return realFetch(url, init);
+	};
+	return calls;
+}
+
+const createEnv = () => ({
+	LOG_LEVEL: 'silent',
+	WA_PROVIDER: 'http',
+	WA_HTTP_PROVIDER_URL: 'https://provider.example/check',
+	TEST_LIMITER: new MemoryKV(),
+});
+
+const checkNumber = (worker, env, ctx, i) =>
+	worker.default.fetch(
+		workerRequest('/v1/whatsapp/check', { method: 'POST', body: { number: `08123456${String(i).padStart(4, '0')}` } }),
+		env,
+		ctx,
+	);
+
+test('a half-open circuit lets one trial through while the others keep skipping the provider', async () => {
+	let release;
+	const calls = stubFailingProvider(new Promise((resolve) => (release = resolve)));
+	const worker = await loadWorker();
+	const env = createEnv();
+	// Opened a while ago, so OPEN_SECONDS have passed
+	await env.TEST_LIMITER.put('breaker_http', JSON.stringify({ failures: 3, openedUntil: Date.now() - 1000 }));
+	const ctx = createContext();
+
+	const trial = checkNumber(worker, env, ctx, 0);
+	while (calls.length === 0) await new Promise((resolve) => setImmediate(resolve));
+
+	// The trial is still waiting on the provider
+	await checkNumber(worker, env, ctx, 1);
+	await checkNumber(worker, env, ctx, 2);
+	assert.equal(calls.length, 1);
+
+	release();
+	await trial;
+	await ctx.drain();
+
+	// The failed trial opened the circuit again
+	const state = JSON.parse(env.TEST_LIMITER.entries.get('breaker_http'));
+	assert.equal(state.failures, 4);
+	assert.ok(state.openedUntil > Date.now());
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createContext, loadWorker, MemoryKV, workerRequest } from './helpers.mjs';
+
+const ORIGIN = 'https://shop.example';
+
+const createEnv = (overrides = {}) => ({
+	LOG_LEVEL: 'silent',
+	TOKEN_SECRET: 'token-secret',
+	REQUIRE_CLIENT_TOKEN: 'true',
+	ALLOWED_ORIGINS: ORIGIN,
+	TEST_LIMITER: new MemoryKV(),
+	...overrides,
+});
+
+async function issueToken(worker, env, options) {
+	const ctx = createContext();
+	const response = await worker.default.fetch(workerRequest('/v1/token', options), env, ctx);
+	await ctx.drain();
+	return { status: response.status, body: await response.json(), headers: response.headers };
+}
+
+async function check(worker, env, token, options) {
+	const ctx = createContext();
+	const request = workerRequest('/v1/whatsapp/check', {
+		method: 'POST',
+		origin: ORIGIN,
+		headers: token ? { 'X-Client-Token': token } : {},
+		body: { number: '081234567890' },
+		...options,
+	});
+	const response = await worker.default.fetch(request, env, ctx);
+	await ctx.drain();
+	return { status: response.status, body: await response.json() };
+}
+
+test('tokens are only issued to origins on ALLOWED_ORIGINS', async () => {
+	const worker = await loadWorker();
+
+	assert.equal((await issueToken(worker, createEnv(), {})).status, 403);
+	assert.equal((await issueToken(worker, createEnv({ ALLOWED_ORIGINS: '' }), { origin: ORIGIN })).status, 403);
+
+	const issued = await issueToken(worker, createEnv(), { origin: ORIGIN });
+	assert.equal(issued.status, 200);
+	assert.ok(issued.body.token);
+	assert.ok(issued.headers.get('RateLimit-Remaining'), 'token requests count against the rate limits');
+});
+
+test('a token only works from the IP it was issued to', async () => {
+	const worker = await loadWorker();
+	const env = createEnv();
+	const { body } = await issueToken(worker, env, { origin: ORIGIN, ip: '198.51.100.1' });
+
+	assert.notEqual((await check(worker, env, body.token, { ip: '198.51.100.1' })).status, 401);
+
+	const elsewhere = await check(worker, env, body.token, { ip: '198.51.100.2' });
+	assert.equal(elsewhere.status, 401);
+	assert.equal(elsewhere.body.reason, 'ip_mismatch');
+
+	assert.equal((await check(worker, env, null, { ip: '198.51.100.1' })).status, 401);
+});
@@ -0,0 +1,101 @@
+// Shared stand-ins for the Workers runtime bindings. Run the suite with `node --test` from the repo root.
+import { readFile } from 'node:fs/promises';
+
+// The worker is an ES module without a package.json to say so, so it is loaded from a data: URL.
+// Every call returns a fresh module instance, keeping module-level state out of other tests.
+export async function loadWorker() {
+	const source = await readFile(new URL('../cf-worker.js', import.meta.url), 'utf8');
+	return import(`data:text/javascript;base64,${Buffer.from(source).toString('base64')}#${Math.random()}`);
+}
+
+// KV namespace held in a Map; every call yields to the event loop the way a network round trip would
+export class MemoryKV {
+	constructor() {
+		this.entries = new Map();
+		this.ttls = new Map();
+	}
+
+	async get(key, options) {
+		await new Promise((resolve) => setImmediate(resolve));
+		const value = this.entries.get(key);
+		if (value === undefined) return null;
+		const type = typeof options === 'string' ? options : options?.type;
+		return type === 'json' ? JSON.parse(value) : value;
+	}
+
+	async put(key, value, options = {}) {
+		await new Promise((resolve) => setImmediate(resolve));
+		this.entries.set(key, String(value));
+		this.ttls.set(key, options.expirationTtl);
+	}
+
+	async delete(key) {
+		this.entries.delete(key);
+	}
+
+	async list({ prefix = '' } = {}) {
+		const keys = [...this.entries.keys()].filter((key) => key.startsWith(prefix)).sort();
+		return { keys: keys.map((name) => ({ name })), list_complete: true };
+	}
+}
+
+// Durable Object namespace: one instance per name, with storage in memory. Like the runtime, a request
+// is handed to the object as soon as it arrives, so concurrent requests do interleave at each await.
+export class MemoryDurableObjectNamespace {
+	constructor(ObjectClass) {
+		this.ObjectClass = ObjectClass;
+		this.objects = new Map();
+	}
+
+	idFromName(name) {
+		return name;
+	}
+
+	get(id) {
+		if (!this.objects.has(id)) {
+			const storage = new Map();
+			const state = {
+				storage: {
+					get: async (key) => storage.get(key),
+					put: async (key, value) => storage.set(key, value),
+					setAlarm: async () => {},
+					deleteAll: async () => storage.clear(),
+				},
+				blockConcurrencyWhile: (callback) => callback(),
+			};
+			this.objects.set(id, new this.ObjectClass(state, {}));
+		}
+
+		const object = this.objects.get(id);
+		return { fetch: (url, init) => object.fetch(new Request(url, init)) };
+	}
+}
+
+// ExecutionContext whose waitUntil promises can be awaited, including ones scheduled while draining
+export function createContext() {
+	const pending = [];
+	return {
+		pending,
+		waitUntil(promise) {
+			pending.push(promise);
+		},
+		async drain() {
+			while (pending.length) {
+				await Promise.allSettled(pending.splice(0));
+			}
+		},
+	};
+}
+
+export function workerRequest(path, { method = 'GET', ip = '203.0.113.7', origin, headers = {}, body } = {}) {
+	return new Request(`https://worker.example${path}`, {
+		method,
+		headers: {
+			'CF-Connecting-IP': ip,
+			...(origin ? { Origin: origin } : {}),
+			...(body ? { 'Content-Type': 'application/json' } : {}),
+			...headers,
+		},
+		body: body ? JSON.stringify(body) : undefined,
+	});
+}
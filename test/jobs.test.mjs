@@ -0,0 +1,133 @@
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createContext, loadWorker, MemoryKV } from './helpers.mjs';
+
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+	globalThis.fetch = realFetch;
+});
+
+// The generic HTTP provider answers "registered" for numbers ending in an even digit, once `held` settles
+function stubProvider(held = Promise.resolve()) {
+	const calls = [];
+	globalThis.fetch = async (url, init) => {
+		if (String(url) === 'https://provider.example/check') {
+			const { number } = JSON.parse(init.body);
+			calls.push(number);
+			await held;
+			return Response.json({ registered: Number(number.slice(-1)) % 2 === 0 });
+		}
+		return realFetch(url, init);
+	};
+	return calls;
+}
+
+const createEnv = () => ({
+	LOG_LEVEL: 'silent',
+	ADMIN_TOKEN: 'admin-token',
+	WA_PROVIDER: 'http',
+	WA_HTTP_PROVIDER_URL: 'https://provider.example/check',
+	TEST_LIMITER: new MemoryKV(),
+});
+
+async function call(worker, env, path, init = {}) {
+	const ctx = createContext();
+	const response = await worker.default.fetch(
+		new Request(`https://worker.example${path}`, {
+			...init,
+			headers: { Authorization: 'Bearer admin-token', 'CF-Connecting-IP': '203.0.113.7', ...init.headers },
+		}),
+		env,
+		ctx,
+	);
+	await ctx.drain();
+	return response;
+}
+
+const csvOf = (numbers) => ['phone', ...numbers].join('\n');
+const pollJob = async (worker, env, id) => (await call(worker, env, `/v1/jobs/${id}`)).json();
+
+test('without BULK_QUEUE each request runs one chunk and polling runs the rest', async () => {
+	const calls = stubProvider();
+	const worker = await loadWorker();
+	const env = createEnv();
+	const numbers = Array.from({ length: 120 }, (_, i) => `08123456${String(i).padStart(4, '0')}`);
+
+	const created = await call(worker, env, '/v1/jobs', { method: 'POST', headers: { 'Content-Type': 'text/csv' }, body: csvOf(numbers) });
+	assert.equal(created.status, 202);
+	const { id, total } = await created.json();
+	assert.equal(total, 120);
+
+	// The create request's waitUntil ran the first chunk only
+	assert.equal(calls.length, 50);
+	assert.equal((await pollJob(worker, env, id)).processed, 50);
+
+	// That poll handed out the second chunk, the next one the third
+	assert.equal((await pollJob(worker, env, id)).processed, 100);
+	const finished = await pollJob(worker, env, id);
+	assert.equal(finished.status, 'completed');
+	assert.equal(finished.registered + finished.unregistered, 120);
+	assert.equal(calls.length, 120);
+
+	const result = await (await call(worker, env, `/v1/jobs/${id}/result.csv`)).text();
+	assert.equal(result.trim().split('\n').length, 121);
+});
+
+test('a chunk that is still running is not handed out twice', async () => {
+	let release;
+	const calls = stubProvider(new Promise((resolve) => (release = resolve)));
+	const worker = await loadWorker();
+	const env = createEnv();
+	const numbers = Array.from({ length: 60 }, (_, i) => `08123456${String(i).padStart(4, '0')}`);
+
+	// Poll while the create request's chunk is still in flight
+	const ctx = createContext();
+	const created = await worker.default.fetch(
+		new Request('https://worker.example/v1/jobs', {
+			method: 'POST',
+			headers: { Authorization: 'Bearer admin-token', 'Content-Type': 'text/csv' },
+			body: csvOf(numbers),
+		}),
+		env,
+		ctx,
+	);
+	const { id } = await created.json();
+	await pollJob(worker, env, id);
+	release();
+	await ctx.drain();
+
+	assert.equal(calls.length, 50);
+	assert.equal((await pollJob(worker, env, id)).processed, 50);
+	assert.equal((await pollJob(worker, env, id)).status, 'completed');
+	assert.equal(calls.length, 60);
+});
+
+test('result cells that spreadsheets would run as formulas are neutralized', async () => {
+	stubProvider();
+	const worker = await loadWorker();
+	const env = createEnv();
+
+	const created = await call(worker, env, '/v1/jobs', {
+		method: 'POST',
+		headers: { 'Content-Type': 'text/csv' },
+		body: csvOf(['"=HYPERLINK(""https://evil.example"",""x"")"', '@SUM(A1)', '081234560002']),
+	});
+	const { id } = await created.json();
+	assert.equal((await pollJob(worker, env, id)).status, 'completed');
+
+	const rows = (await (await call(worker, env, `/v1/jobs/${id}/result.csv`)).text()).trim().split('\n');
+	assert.equal(rows[0], 'input,number,status,error');
+	assert.equal(rows[1], `"'=HYPERLINK(""https://evil.example"",""x"")",,invalid,Invalid phone number format`);
+	assert.equal(rows[2], "'@SUM(A1),,invalid,Invalid phone number format");
+	assert.equal(rows[3], '081234560002,+6281234560002,registered,');
+});
+
+test('a multipart file field sent as plain text is a 400', async () => {
+	const worker = await loadWorker();
+	const form = new FormData();
+	form.append('file', csvOf(['081234560002']));
+
+	const response = await call(worker, createEnv(), '/v1/jobs', { method: 'POST', body: form });
+	assert.equal(response.status, 400);
+});
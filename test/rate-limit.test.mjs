@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createContext, loadWorker, MemoryDurableObjectNamespace, MemoryKV, workerRequest } from './helpers.mjs';
+
+const ORIGIN = 'https://shop.example';
+
+function createEnv(worker, limits) {
+	return {
+		LOG_LEVEL: 'silent',
+		RATE_LIMIT_RESPONSE_MODE: 'http_429',
+		ALLOWED_ORIGINS: ORIGIN,
+		ORIGIN_RATE_LIMITS: JSON.stringify({ [ORIGIN]: limits }),
+		TEST_LIMITER: new MemoryKV(),
+		RATE_LIMITER_DO: new MemoryDurableObjectNamespace(worker.RateLimitCounter),
+	};
+}
+
+// Distinct numbers, so only the IP tiers can reject
+const checkNumber = (i) =>
+	workerRequest('/v1/whatsapp/check', { method: 'POST', origin: ORIGIN, body: { number: `08123456${String(i).padStart(4, '0')}` } });
+
+async function burst(worker, env, size) {
+	const ctx = createContext();
+	const responses = await Promise.all(Array.from({ length: size }, (_, i) => worker.default.fetch(checkNumber(i), env, ctx)));
+	await ctx.drain();
+	return responses.filter((response) => response.status !== 429).length;
+}
+
+for (const algorithm of ['fixed_window', 'sliding_window', 'token_bucket']) {
+	test(`${algorithm}: a concurrent burst through the Durable Object admits exactly the limit`, async () => {
+		const worker = await loadWorker();
+		const env = createEnv(worker, { ALGORITHM: algorithm, PER_MINUTE: 5, BURST_MINUTE: 5 });
+
+		assert.equal(await burst(worker, env, 40), 5);
+		// The quota stays spent for follow-up requests
+		assert.equal(await burst(worker, env, 10), 0);
+	});
+}
+
+test('separate IPs get separate quotas', async () => {
+	const worker = await loadWorker();
+	const env = createEnv(worker, { PER_MINUTE: 3 });
+	const ctx = createContext();
+
+	const statuses = await Promise.all(
+		['198.51.100.1', '198.51.100.2'].flatMap((ip) =>
+			Array.from({ length: 5 }, (_, i) =>
+				worker.default
+					.fetch(
+						workerRequest('/v1/whatsapp/check', { method: 'POST', ip, origin: ORIGIN, body: { number: `0812345600${i}${ip.slice(-1)}` } }),
+						env,
+						ctx,
+					)
+					.then((response) => response.status),
+			),
+		),
+	);
+	await ctx.drain();
+
+	assert.equal(statuses.filter((status) => status !== 429).length, 6);
+});
+
+for (const backend of ['RATE_LIMITER_DO', 'TEST_LIMITER']) {
+	for (const algorithm of ['fixed_window', 'sliding_window', 'token_bucket']) {
+		test(`${algorithm} on ${backend}: a request rejected by a later tier leaves earlier tiers uncharged`, async () => {
+			const worker = await loadWorker();
+			const env = createEnv(worker, { ALGORITHM: algorithm, PER_MINUTE: 5, BURST_MINUTE: 5, PER_TARGET: 2 });
+			if (backend === 'TEST_LIMITER') delete env.RATE_LIMITER_DO;
+			const ctx = createContext();
+			const send = async (request) => (await worker.default.fetch(request, env, ctx)).status;
+
+			// Same number four times: the target tier lets two through and rejects two
+			const repeated = [];
+			for (let i = 0; i < 4; i++) repeated.push(await send(checkNumber(0)));
+			assert.deepEqual(
+				repeated.map((status) => status === 429),
+				[false, false, true, true],
+			);
+
+			// The rejected pair did not eat into the minute quota: three more fit
+			const fresh = [];
+			for (let i = 1; i <= 4; i++) fresh.push(await send(checkNumber(i)));
+			assert.deepEqual(
+				fresh.map((status) => status === 429),
+				[false, false, false, true],
+			);
+			await ctx.drain();
+		});
+	}
+}
+
+test('RateLimit headers go out on unrated, allowlisted and unbacked responses', async () => {
+	const worker = await loadWorker();
+	const env = createEnv(worker, { PER_MINUTE: 5 });
+	const ctx = createContext();
+
+	await worker.default.fetch(checkNumber(0), env, ctx);
+	const health = await worker.default.fetch(workerRequest('/v1/health', { origin: ORIGIN }), env, ctx);
+	assert.equal(health.headers.get('RateLimit-Limit'), '5');
+	assert.equal(health.headers.get('RateLimit-Remaining'), '4');
+	assert.match(health.headers.get('RateLimit-Policy'), /^5;w=60, /);
+
+	const allowlisted = await worker.default.fetch(checkNumber(1), { ...env, IP_ALLOWLIST: '203.0.113.0/24' }, ctx);
+	assert.equal(allowlisted.headers.get('RateLimit-Remaining'), '4');
+
+	// Without a backend nothing is counted, so no remaining count is claimed
+	const unbacked = await worker.default.fetch(checkNumber(2), { LOG_LEVEL: 'silent' }, ctx);
+	assert.equal(unbacked.headers.get('RateLimit-Limit'), String(unbacked.headers.get('RateLimit-Policy').split(';')[0]));
+	assert.equal(unbacked.headers.get('RateLimit-Remaining'), null);
+	await ctx.drain();
+});
+
+test('a failing backend fails open without a made-up remaining count', async () => {
+	const worker = await loadWorker();
+	const env = createEnv(worker, { PER_MINUTE: 5 });
+	env.RATE_LIMITER_DO = {
+		idFromName: (name) => name,
+		get: () => ({ fetch: async () => new Response('unavailable', { status: 500 }) }),
+	};
+	const ctx = createContext();
+
+	const response = await worker.default.fetch(checkNumber(0), env, ctx);
+	await ctx.drain();
+
+	assert.notEqual(response.status, 429);
+	assert.equal(response.headers.get('RateLimit-Limit'), '5');
+	assert.equal(response.headers.get('RateLimit-Remaining'), null);
+});
@@ -94,6 +94,10 @@
     config.CACHE_SUCCESS_TTL = getData("cache-success-ttl", 600000, Number);
     config.CACHE_FAILURE_TTL = getData("cache-failure-ttl", 300000, Number);
 
+    // Hidden fields written into the form on submit
+    config.HIDDEN_FIELDS = getData("hidden-fields", "false") === "true";
+    config.HIDDEN_FIELD_PREFIX = getData("hidden-field-prefix", "wa_");
+
     // Messages
     config.MESSAGES = {
       ERROR_INPUT: getData(
@@ -112,6 +116,10 @@
         "rate-limit-message",
         "Terlalu banyak percobaan validasi. Silakan tunggu sebentar.",
       ),
+      NOT_MOBILE: getData(
+        "not-mobile-message",
+        "Nomor ini sepertinya bukan nomor HP",
+      ),
     };
 
     return config;
@@ -145,6 +153,10 @@
   // Compressed configuration with lazy loading and custom config support
   const CONFIG = Object.freeze({
     WORKER_URL: CUSTOM_CONFIG.WORKER_URL || "https://test.roove.workers.dev/",
+    CHECK_PATH: "v1/whatsapp/check",
+    TOKEN_PATH: "v1/token",
+    // How long a refused /v1/token request is remembered before asking again
+    TOKEN_RETRY_DELAY: 300000,
     MIN_PHONE_LENGTH: CUSTOM_CONFIG.MIN_PHONE_LENGTH || 10,
     DEBOUNCE_DELAY: CUSTOM_CONFIG.DEBOUNCE_DELAY || 1000,
     INPUT_SELECTOR: 'input[name="No. WhatsApp"], input#phone',
@@ -162,15 +174,29 @@
       MAX_SIZE: 50,
       KEY_PREFIX: "wa_v_",
     },
+    // <prefix>number, <prefix>status, <prefix>checked_at and <prefix>receipt
+    HIDDEN_FIELDS: {
+      ENABLED: CUSTOM_CONFIG.HIDDEN_FIELDS || false,
+      PREFIX: CUSTOM_CONFIG.HIDDEN_FIELD_PREFIX || "wa_",
+    },
     MESSAGES: CUSTOM_CONFIG.MESSAGES || {
       ERROR_INPUT: "No. WhatsApp yang Anda masukkan salah",
       ERROR_BUTTON:
         "No WhatsApp yang Anda masukkan tidak valid. Mohon cek kembali.",
       ERROR_SUBMIT: "Perbaiki nomor WhatsApp sebelum submit!",
       RATE_LIMIT: "Terlalu banyak percobaan validasi. Silakan tunggu sebentar.",
+      NOT_MOBILE: "Nomor ini sepertinya bukan nomor HP",
     },
   });
 
+  // Resolve a versioned worker endpoint against the configured base URL
+  function endpointUrl(path) {
+    const base = CONFIG.WORKER_URL.endsWith("/")
+      ? CONFIG.WORKER_URL
+      : CONFIG.WORKER_URL + "/";
+    return new URL(path, base).href;
+  }
+
   // Compressed SVG icons with lazy loading
   const ICONS = {
     _cache: new Map(),
@@ -437,6 +463,55 @@
         CONFIG.RATE_LIMIT.MAX_REQUESTS,
         CONFIG.RATE_LIMIT.TIME_WINDOW,
       );
+      // Set from the worker's Retry-After header
+      this.blockedUntil = 0;
+      this.token = null;
+      this.tokenPromise = null;
+      // Tokens are only fetched once the worker has asked for one with a 401
+      this.tokenRequired = false;
+      this.tokenRefusedUntil = 0;
+    }
+
+    // Short-lived token from the worker; refreshed a little before it expires. /v1/token counts
+    // against the rate limits, so a refusal is remembered instead of asked again on every check
+    async getClientToken(forceRefresh = false) {
+      if (!this.tokenRequired || Date.now() < this.tokenRefusedUntil) {
+        return null;
+      }
+
+      if (
+        !forceRefresh &&
+        this.token &&
+        Date.now() < this.token.expiresAt - 30000
+      ) {
+        return this.token.value;
+      }
+
+      if (!this.tokenPromise) {
+        this.tokenPromise = fetch(endpointUrl(CONFIG.TOKEN_PATH), {
+          headers: { Accept: "application/json" },
+        })
+          .then((response) => {
+            if (!response.ok) {
+              this.tokenRefusedUntil = Date.now() + CONFIG.TOKEN_RETRY_DELAY;
+              return null;
+            }
+            return response.json();
+          })
+          .then((data) => {
+            this.token = data?.token
+              ? { value: data.token, expiresAt: Date.parse(data.expiresAt) }
+              : null;
+            return this.token?.value || null;
+          })
+          // Workers without token support still answer checks without one
+          .catch(() => null)
+          .finally(() => {
+            this.tokenPromise = null;
+          });
+      }
+
+      return this.tokenPromise;
     }
 
     async makeRequest(phone, attemptNumber = 0, customTimeout = null) {
@@ -460,25 +535,87 @@
       }
     }
 
-    async executeRequest(phone, attemptNumber, customTimeout = null) {
+    async executeRequest(
+      phone,
+      attemptNumber,
+      customTimeout = null,
+      retry = {},
+    ) {
+      const token = await this.getClientToken();
       const controller = new AbortController();
       const timeout = customTimeout || CONFIG.TIMEOUTS[attemptNumber] || 5000;
       const timeoutId = setTimeout(() => controller.abort(), timeout);
 
       try {
-        const response = await fetch(CONFIG.WORKER_URL, {
+        const headers = {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+          Connection: "keep-alive",
+        };
+        if (token) {
+          headers["X-Client-Token"] = token;
+        }
+        if (retry.challengeResponse) {
+          headers["X-Challenge-Response"] = retry.challengeResponse;
+        }
+
+        const response = await fetch(endpointUrl(CONFIG.CHECK_PATH), {
           method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Accept: "application/json",
-            Connection: "keep-alive",
-          },
+          headers,
           body: JSON.stringify({ number: phone }),
           signal: controller.signal,
         });
 
         clearTimeout(timeoutId);
 
+        // Token missing, expired or rejected - fetch a fresh one and try once more
+        if (response.status === 401 && !retry.tokenRefreshed) {
+          const data = await response.json().catch(() => null);
+          if (data?.code === "invalid_token") {
+            this.tokenRequired = true;
+            if (await this.getClientToken(true)) {
+              return this.executeRequest(phone, attemptNumber, customTimeout, {
+                ...retry,
+                tokenRefreshed: true,
+              });
+            }
+          }
+        }
+
+        // Busy IP - solve the worker's challenge in the background and retry once
+        if (response.status === 403 && !retry.challengeResponse) {
+          const data = await response.json().catch(() => null);
+          const solution =
+            data?.code === "challenge_required"
+              ? await ChallengeSolver.solve(data.challenge)
+              : null;
+          if (solution) {
+            return this.executeRequest(phone, attemptNumber, customTimeout, {
+              ...retry,
+              challengeResponse: solution,
+            });
+          }
+        }
+
+        // Worker-side limit: a real 429, or the silent 200 carrying Retry-After
+        const retryAfter = response.headers.get("Retry-After");
+        if (response.status === 429 || retryAfter) {
+          const seconds = Number(retryAfter) || 60;
+          this.blockedUntil = Date.now() + seconds * 1000;
+          const error = new Error(`Rate limited for ${seconds} seconds`);
+          error.name = "RateLimitError";
+          error.retryAfter = seconds;
+          throw error;
+        }
+
+        // Impossible numbers are rejected before any provider call - show them as invalid, not as an outage
+        if (response.status === 400) {
+          const data = await response.json().catch(() => null);
+          if (data?.reason === "invalid_format") {
+            return { registered: false, reason: data.reason };
+          }
+        }
+
         if (response.status >= 400) {
           throw new Error(`HTTP ${response.status}`);
         }
@@ -498,11 +635,17 @@
     }
 
     canMakeRequest() {
-      return this.rateLimiter.canMakeRequest();
+      return (
+        Date.now() >= this.blockedUntil && this.rateLimiter.canMakeRequest()
+      );
     }
 
     getRemainingTime() {
-      return this.rateLimiter.getRemainingTime();
+      return Math.max(
+        0,
+        this.blockedUntil - Date.now(),
+        this.rateLimiter.getRemainingTime(),
+      );
     }
   }
 
@@ -613,22 +756,83 @@
     static normalize(phone) {
       let normalized = phone.replace(/[^\d+]/g, "");
 
-      if (normalized.startsWith("0")) {
+      if (normalized.startsWith("00")) {
+        normalized = "+" + normalized.substring(2);
+      } else if (normalized.startsWith("0")) {
         normalized = "+62" + normalized.substring(1);
       } else if (normalized.startsWith("62")) {
         normalized = "+" + normalized;
-      } else if (
-        !normalized.startsWith("+") &&
-        normalized.length >= 9 &&
-        normalized.length <= 13
-      ) {
-        normalized = "+62" + normalized;
       }
 
+      // Other bare numbers go as typed - the worker tells `60…` (Malaysia) from `812…` (Indonesia)
       return normalized;
     }
   }
 
+  // Challenge Solver - answers the worker's proof-of-work or Turnstile challenge
+  class ChallengeSolver {
+    static async solve(challenge) {
+      try {
+        if (challenge?.type === "pow") {
+          return await ChallengeSolver.solveProofOfWork(challenge);
+        }
+        if (challenge?.type === "turnstile") {
+          return await ChallengeSolver.solveTurnstile(challenge);
+        }
+      } catch (error) {
+        console.warn("Challenge solving failed:", error);
+      }
+      return null;
+    }
+
+    // Find a nonce whose SHA-256 with the challenge starts with `difficulty` zero bits
+    static async solveProofOfWork({ challenge, difficulty }) {
+      const encoder = new TextEncoder();
+      for (let nonce = 0; nonce < 1 << 24; nonce++) {
+        const digest = new Uint8Array(
+          await crypto.subtle.digest(
+            "SHA-256",
+            encoder.encode(`${challenge}:${nonce}`),
+          ),
+        );
+        if (ChallengeSolver.leadingZeroBits(digest) >= difficulty) {
+          return `pow:${challenge}:${nonce}`;
+        }
+      }
+      return null;
+    }
+
+    static leadingZeroBits(bytes) {
+      let bits = 0;
+      for (const byte of bytes) {
+        if (byte !== 0) return bits + Math.clz32(byte) - 24;
+        bits += 8;
+      }
+      return bits;
+    }
+
+    // Needs the Turnstile script (challenges.cloudflare.com/turnstile/v0/api.js) on the page
+    static solveTurnstile({ siteKey }) {
+      if (!window.turnstile) return null;
+
+      return new Promise((resolve) => {
+        const container = document.createElement("div");
+        document.body.appendChild(container);
+        const done = (token) => {
+          container.remove();
+          resolve(token ? `turnstile:${token}` : null);
+        };
+        window.turnstile.render(container, {
+          sitekey: siteKey,
+          appearance: "interaction-only",
+          callback: done,
+          "error-callback": () => done(null),
+          "expired-callback": () => done(null),
+        });
+      });
+    }
+  }
+
   // Error Boundary System for Production Safety
   class ErrorBoundary {
     constructor() {
@@ -880,6 +1084,8 @@
         isRetrying: false,
         actualValue: "",
         isFormatted: false,
+        rateLimitTimer: null,
+        verification: null, // Last worker answer, for the hidden form fields
       };
 
       this.domCache = new DOMCache();
@@ -1227,10 +1433,14 @@
         this.state.retryController = null;
         this.state.isRetrying = false;
         this.activateFailsafe();
+        this.writeHiddenFields(e.currentTarget);
         return true;
       }
 
-      if (this.state.failsafeMode) return true;
+      if (this.state.failsafeMode) {
+        this.writeHiddenFields(e.currentTarget);
+        return true;
+      }
 
       if (this.state.validationState === false) {
         e.preventDefault();
@@ -1238,6 +1448,49 @@
         this.showValidationError();
         return false;
       }
+
+      this.writeHiddenFields(e.currentTarget);
+    }
+
+    // Tells the form's backend what was verified: the worker's answer for the current
+    // number (with its signed receipt), "failsafe" when validation was bypassed, or "unchecked".
+    // Only the worker's answer carries the E.164 number; without one the number field stays empty
+    writeHiddenFields(form) {
+      if (!CONFIG.HIDDEN_FIELDS.ENABLED || !form) return;
+      const phoneInput = this.domCache.get("phoneInput", CONFIG.INPUT_SELECTOR);
+      const rawValue = phoneInput?.value.trim() || "";
+      const phone = rawValue ? PhoneFormatter.normalize(rawValue) : "";
+
+      const verification =
+        this.state.verification?.phone === phone
+          ? this.state.verification
+          : null;
+      let status = "unchecked";
+      if (verification) {
+        status = verification.registered ? "verified" : "unregistered";
+      } else if (this.state.failsafeMode) {
+        status = "failsafe";
+      }
+
+      const fields = {
+        number: verification?.number || "",
+        status,
+        checked_at: verification?.checkedAt || new Date().toISOString(),
+        receipt: verification?.receipt || "",
+      };
+      for (const [name, value] of Object.entries(fields)) {
+        const fieldName = CONFIG.HIDDEN_FIELDS.PREFIX + name;
+        let field = [...form.querySelectorAll('input[type="hidden"]')].find(
+          (el) => el.name === fieldName,
+        );
+        if (!field) {
+          field = document.createElement("input");
+          field.type = "hidden";
+          field.name = fieldName;
+          form.appendChild(field);
+        }
+        field.value = value;
+      }
     }
 
     handleSubmitClick(e) {
@@ -1378,7 +1631,12 @@
       const cachedResult = await this.cacheManager.get(rawValue);
       if (cachedResult !== null && attemptNumber === 0) {
         console.log("📦 Using cached result for:", rawValue);
-        this.handleValidationResult(cachedResult.isRegistered, rawValue);
+        this.handleValidationResult(
+          cachedResult.isRegistered,
+          rawValue,
+          cachedResult.reason,
+          cachedResult,
+        );
         if (onComplete) onComplete();
         return;
       }
@@ -1389,7 +1647,7 @@
           this.requestManager.getRemainingTime() / 1000,
         );
         console.log(`⏱️ Rate limit reached. Wait ${waitTime} seconds`);
-        this.updateUI(false, CONFIG.MESSAGES.RATE_LIMIT);
+        this.showRateLimitCountdown(waitTime);
         if (onComplete) onComplete();
         return;
       }
@@ -1444,15 +1702,29 @@
 
         console.log("📦 API Response:", data);
 
+        // Canonical worker shape first, then the legacy Starsender passthrough
         let isRegistered = false;
-        if (data.data && typeof data.data === "object") {
+        if (typeof data.registered === "boolean") {
+          isRegistered = data.registered;
+        } else if (data.data && typeof data.data === "object") {
           isRegistered = data.data.status === true;
         } else if (data.status !== undefined) {
           isRegistered = data.status === true;
         }
 
-        await this.cacheManager.set(rawValue, { isRegistered }, isRegistered);
-        this.handleValidationResult(isRegistered, phone);
+        // Landlines are answered by the worker without a provider call (reason "not_mobile")
+        const reason = data.reason || null;
+        const details = {
+          number: data.number || null,
+          checkedAt: data.checkedAt || new Date().toISOString(),
+          receipt: data.receipt || null,
+        };
+        await this.cacheManager.set(
+          rawValue,
+          { isRegistered, reason, ...details },
+          isRegistered,
+        );
+        this.handleValidationResult(isRegistered, phone, reason, details);
 
         PerformanceMonitor.mark("validation-end");
         PerformanceMonitor.measure(
@@ -1463,6 +1735,17 @@
 
         if (onComplete) onComplete();
       } catch (error) {
+        // Worker limits are not failures - wait them out instead of retrying
+        if (error.name === "RateLimitError") {
+          console.log(
+            `⏱️ Worker rate limit hit. Wait ${error.retryAfter} seconds`,
+          );
+          this.state.isRetrying = false;
+          this.showRateLimitCountdown(error.retryAfter);
+          if (onComplete) onComplete();
+          return;
+        }
+
         // Capture error in production boundary
         this.errorBoundary.captureError({
           type: "validation",
@@ -1521,9 +1804,18 @@
       }
     }
 
-    handleValidationResult(isRegistered, phone) {
+    handleValidationResult(isRegistered, phone, reason = null, details = {}) {
+      this.state.verification = {
+        phone: PhoneFormatter.normalize(phone),
+        registered: isRegistered,
+        number: details.number || null,
+        checkedAt: details.checkedAt || new Date().toISOString(),
+        receipt: details.receipt || null,
+      };
       if (isRegistered) {
         this.updateUI(true, "WhatsApp aktif!");
+      } else if (reason === "not_mobile") {
+        this.updateUI(false, CONFIG.MESSAGES.NOT_MOBILE);
       } else {
         this.updateUI(false, CONFIG.MESSAGES.ERROR_INPUT);
       }
@@ -1531,6 +1823,34 @@
       this.state.validationState = isRegistered;
     }
 
+    showRateLimitCountdown(seconds) {
+      clearInterval(this.state.rateLimitTimer);
+
+      let remaining = Math.max(1, Math.ceil(seconds));
+      const render = () =>
+        this.updateUI(
+          false,
+          `${CONFIG.MESSAGES.RATE_LIMIT} (${remaining} detik)`,
+        );
+      render();
+
+      this.state.rateLimitTimer = setInterval(() => {
+        remaining--;
+        if (remaining > 0) {
+          render();
+          return;
+        }
+
+        // Quota is back - clear the message and re-check the current value
+        clearInterval(this.state.rateLimitTimer);
+        this.state.rateLimitTimer = null;
+        this.state.validationState = null;
+        this.updateUI(null, "");
+        this.updateSubmitButton("enable");
+        this.queueValidation();
+      }, 1000);
+    }
+
     activateFailsafe() {
       this.state.failsafeMode = true;
       console.warn("⚠️ WhatsApp validation disabled - failsafe mode activated");
@@ -2016,6 +2336,7 @@
       PerformanceMonitor.mark("cleanup-start");
 
       clearTimeout(this.state.debounceTimer);
+      clearInterval(this.state.rateLimitTimer);
 
       if (this.state.retryController) {
         this.state.retryController.abort();
@@ -2062,6 +2383,8 @@
         isRetrying: false,
         actualValue: "",
         isFormatted: false,
+        rateLimitTimer: null,
+        verification: null, // Last worker answer, for the hidden form fields
       };
 
       PerformanceMonitor.mark("cleanup-end");